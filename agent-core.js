@@ -0,0 +1,200 @@
+/* Immersive Speak — the agent's side of the reading-plan contract: the block
+   payload sent to the model, the JSON schema its reply must follow, and the
+   validation that checks every step against the blocks that were sent and
+   lists each problem for a single repair round.
+
+   The service worker imports it with importScripts and reads it through
+   `GroqAgentCore`; the unit tests require() it. */
+(() => {
+  const AGENT_MAX_BLOCKS = 80;
+  const AGENT_TEXT_CHARS = 400;
+
+  /**
+   * Plan step actions: "read" a block, "announce" a heading on its own,
+   * "read_section" for every block under a heading (not the heading itself),
+   * "read_table" with a strategy, and "read_figure" for a caption plus the
+   * image's alt text.
+   */
+  const AGENT_ACTIONS = ["read", "announce", "read_section", "read_table", "read_figure"];
+  // "rows": header row, then row by row; "headers": caption and column headers only; "whole": as laid out
+  const TABLE_STRATEGIES = ["rows", "headers", "whole"];
+
+  const BLOCK_KINDS = ["heading", "paragraph", "list_item", "table", "caption", "quote", "code", "block"];
+  const LANDMARKS = ["main", "article", "section", "nav", "aside", "header", "footer", "form", ""];
+
+  /**
+   * Blocks from content-engine as sent to the model: known fields only, with
+   * text and table headers capped. Headings, tables and captions are kept
+   * when there are more than `max` blocks; the rest are the longest. Document
+   * order is preserved.
+   */
+  const trimAgentBlocks = (blocks, max = AGENT_MAX_BLOCKS) => {
+    const list = (Array.isArray(blocks) ? blocks : []).filter(block => Number.isInteger(block?.id));
+    let kept = list;
+    if (list.length > max) {
+      const structural = block => block.kind === "heading" || block.kind === "table" || block.kind === "caption";
+      const chosen = new Set(list.filter(structural).slice(0, max).map(block => block.id));
+      for (const block of [...list].sort((a, b) => (b.words || 0) - (a.words || 0))) {
+        if (chosen.size >= max) break;
+        chosen.add(block.id);
+      }
+      kept = list.filter(block => chosen.has(block.id));
+    }
+    return kept.map(trimAgentBlock);
+  };
+
+  const trimAgentBlock = block => {
+    const out = {
+      id: block.id,
+      kind: BLOCK_KINDS.includes(block.kind) ? block.kind : "block",
+      tag: String(block.tag || ""),
+      words: Number(block.words) || 0,
+      link_ratio: Number(block.link_ratio) || 0,
+      landmark: LANDMARKS.includes(block.landmark) ? block.landmark : "",
+      section: Number.isInteger(block.section) ? block.section : null,
+      position: Number(block.position) || 0,
+      depth: Number(block.depth) || 0,
+      text: String(block.text || "").slice(0, AGENT_TEXT_CHARS)
+    };
+    if (out.kind === "heading") {
+      out.level = Math.min(6, Math.max(1, Number(block.level) || 1));
+      out.parent = Number.isInteger(block.parent) ? block.parent : null;
+    }
+    if (block.table && typeof block.table === "object") {
+      out.table = {
+        rows: Number(block.table.rows) || 0,
+        cols: Number(block.table.cols) || 0,
+        caption: String(block.table.caption || "").slice(0, 160),
+        headers: (Array.isArray(block.table.headers) ? block.table.headers : []).slice(0, 12).map(h => String(h).slice(0, 60))
+      };
+    }
+    if (block.figure && typeof block.figure === "object") {
+      out.figure = { alt: String(block.figure.alt || "").slice(0, 200) };
+    }
+    return out;
+  };
+
+  /** Structured output schema for the agent's reply (`response_format.json_schema.schema`). */
+  const AGENT_PLAN_SCHEMA = {
+    type: "object",
+    properties: {
+      plan: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            action: { type: "string", enum: AGENT_ACTIONS },
+            strategy: { type: "string", enum: TABLE_STRATEGIES }
+          },
+          required: ["id", "action"],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ["plan"],
+    additionalProperties: false
+  };
+
+  // Reply budget: a step such as {"id":12,"action":"read_section"} is about 16 tokens, and a
+  // heading may take two (announce, then read_section)
+  const AGENT_REPLY_BASE_TOKENS = 200;
+  const AGENT_STEP_TOKENS = 16;
+
+  /** `max_tokens` for a reply planning `blockCount` blocks, so long pages aren't cut off mid-JSON. */
+  const agentMaxTokens = blockCount =>
+    AGENT_REPLY_BASE_TOKENS + 2 * AGENT_STEP_TOKENS * Math.max(1, Number(blockCount) || 0);
+
+  // Each action's required block kind, where it matters
+  const ACTION_KINDS = { read_section: "heading", read_table: "table", read_figure: "caption" };
+
+  /**
+   * Check the model's reply against the schema and the blocks that were sent.
+   * Returns `{ ok: true, plan, readIds }`, or `{ ok: false, errors }`
+   * with one readable message per problem, for the repair prompt and the user.
+   * An empty plan is valid: the model found nothing worth reading.
+   */
+  const validateAgentPlan = (content, blocks) => {
+    const parsed = parseAgentContent(content);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return { ok: false, errors: ["the reply is not a JSON object"] };
+    }
+    if (!Array.isArray(parsed.plan)) return { ok: false, errors: ['the reply has no "plan" array'] };
+
+    const kinds = new Map((Array.isArray(blocks) ? blocks : []).map(block => [block.id, block.kind]));
+    const plan = [];
+    const errors = [];
+    parsed.plan.forEach((step, i) => {
+      if (!step || typeof step !== "object") {
+        errors.push(`step ${i} is not an object`);
+        return;
+      }
+      const { id, action, strategy } = step;
+      if (!Number.isInteger(id) || !kinds.has(id)) {
+        errors.push(`step ${i} uses block id ${JSON.stringify(id)}, which was not sent`);
+        return;
+      }
+      if (!AGENT_ACTIONS.includes(action)) {
+        errors.push(`step ${i} has unknown action ${JSON.stringify(action)}`);
+        return;
+      }
+      if (ACTION_KINDS[action] && kinds.get(id) !== ACTION_KINDS[action]) {
+        errors.push(`step ${i} uses ${action} on block ${id}, which is a ${kinds.get(id)}, not a ${ACTION_KINDS[action]}`);
+        return;
+      }
+      if (action !== "read_table") {
+        plan.push({ id, action });
+      } else if (strategy === undefined || TABLE_STRATEGIES.includes(strategy)) {
+        plan.push({ id, action, strategy: strategy || "whole" });
+      } else {
+        errors.push(`step ${i} has unknown table strategy ${JSON.stringify(strategy)}`);
+      }
+    });
+    if (errors.length) return { ok: false, errors };
+
+    return { ok: true, plan, readIds: [...new Set(plan.map(step => step.id))] };
+  };
+
+  /** Follow-up message asking the model to fix an invalid plan. */
+  const agentRepairPrompt = errors => [
+    "Your reading plan is invalid:",
+    ...errors.map(error => `- ${error}`),
+    "Return the corrected JSON plan, using only the block ids and actions described."
+  ].join("\n");
+
+  /** The reply as JSON, allowing a code fence or a sentence around the object; null when it isn't JSON. */
+  const parseAgentContent = content => {
+    const text = String(content || "").trim();
+    if (!text) return null;
+    for (const candidate of [text, extractJsonObject(text)]) {
+      if (!candidate) continue;
+      try {
+        return JSON.parse(candidate);
+      } catch (_) {}
+    }
+    return null;
+  };
+
+  const extractJsonObject = text => {
+    const first = text.indexOf("{");
+    const last = text.lastIndexOf("}");
+    if (first === -1 || last === -1 || last <= first) return "";
+    return text.slice(first, last + 1);
+  };
+
+  const api = {
+    AGENT_MAX_BLOCKS,
+    AGENT_ACTIONS,
+    TABLE_STRATEGIES,
+    AGENT_PLAN_SCHEMA,
+    agentMaxTokens,
+    trimAgentBlocks,
+    validateAgentPlan,
+    agentRepairPrompt,
+    parseAgentContent,
+    extractJsonObject
+  };
+
+  globalThis.GroqAgentCore = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
@@ -0,0 +1,276 @@
+/* Immersive Speak — word timings from the TTS audio itself, so most chunks
+   need no STT round trip. The PCM is split into speech and pauses by frame
+   energy and the pauses are matched to the gaps between tokens; the result
+   carries a confidence, and below LOCAL_ALIGN_MIN_CONFIDENCE the caller asks
+   STT instead.
+
+   Part of the service worker (`GroqAlignCore`); the tests require() it and
+   feed it WAVs from the mock server. */
+(() => {
+  const LOCAL_ALIGN_MIN_CONFIDENCE = 0.75;
+  const ALIGN_FRAME_SECONDS = 0.01;
+  const ALIGN_MIN_PAUSE_SECONDS = 0.04;
+  // An unmatched pause this long counts as one missed word gap against the confidence
+  const ALIGN_LONG_PAUSE_SECONDS = 0.15;
+
+  /**
+   * Decode a RIFF/WAVE buffer into mono float samples. Handles integer PCM
+   * (8/16/24/32-bit) and 32-bit float; returns null for anything else.
+   */
+  const parseWavPcm = arrayBuffer => {
+    if (!arrayBuffer || arrayBuffer.byteLength < 44) return null;
+    const view = new DataView(arrayBuffer);
+    const tag = offset => String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+    if (tag(0) !== "RIFF" || tag(8) !== "WAVE") return null;
+
+    let format = null;
+    let dataOffset = -1;
+    let dataSize = 0;
+    for (let offset = 12; offset + 8 <= view.byteLength;) {
+      const id = tag(offset);
+      const size = view.getUint32(offset + 4, true);
+      const body = offset + 8;
+      if (id === "fmt " && body + 16 <= view.byteLength) {
+        let code = view.getUint16(body, true);
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format code in its sub-format GUID
+        if (code === 0xfffe && size >= 26 && body + 26 <= view.byteLength) code = view.getUint16(body + 24, true);
+        format = {
+          code,
+          channels: view.getUint16(body + 2, true),
+          sampleRate: view.getUint32(body + 4, true),
+          bits: view.getUint16(body + 14, true)
+        };
+      } else if (id === "data") {
+        dataOffset = body;
+        // Streamed WAVs often leave the size at 0 or 0xFFFFFFFF
+        dataSize = Math.min(size || Infinity, view.byteLength - body);
+        break;
+      }
+      offset = body + size + (size % 2);
+    }
+    if (!format || dataOffset < 0 || !format.channels || !format.sampleRate) return null;
+
+    const bytes = format.bits / 8;
+    const readers = {
+      "1:8": at => (view.getUint8(at) - 128) / 128,
+      "1:16": at => view.getInt16(at, true) / 0x8000,
+      "1:24": at => ((view.getInt8(at + 2) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at)) / 0x800000,
+      "1:32": at => view.getInt32(at, true) / 0x80000000,
+      "3:32": at => view.getFloat32(at, true)
+    };
+    const read = readers[`${format.code}:${format.bits}`];
+    if (!read) return null;
+
+    const frameBytes = bytes * format.channels;
+    const length = Math.floor(dataSize / frameBytes);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let ch = 0; ch < format.channels; ch++) sum += read(dataOffset + i * frameBytes + ch * bytes);
+      samples[i] = sum / format.channels;
+    }
+    return { sampleRate: format.sampleRate, samples };
+  };
+
+  /** RMS level in dBFS for consecutive frames of `frameSeconds`. */
+  const measureFrameEnergy = (samples, sampleRate, frameSeconds = ALIGN_FRAME_SECONDS) => {
+    const frameLength = Math.max(1, Math.round(sampleRate * frameSeconds));
+    const count = Math.floor(samples.length / frameLength);
+    const levels = new Float32Array(count);
+    for (let f = 0; f < count; f++) {
+      let sum = 0;
+      for (let i = f * frameLength; i < (f + 1) * frameLength; i++) sum += samples[i] * samples[i];
+      levels[f] = 20 * Math.log10(Math.sqrt(sum / frameLength) + 1e-9);
+    }
+    return levels;
+  };
+
+  const percentile = (values, p) => {
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  };
+
+  /**
+   * Speech span and the pauses inside it, in seconds:
+   * `{ speechStart, speechEnd, pauses: [{ start, end }] }`, or null when the
+   * audio holds no speech. The silence threshold adapts to each clip's noise floor.
+   */
+  const findPauses = (levels, frameSeconds = ALIGN_FRAME_SECONDS, minPauseSeconds = ALIGN_MIN_PAUSE_SECONDS) => {
+    if (!levels?.length) return null;
+    const floor = percentile(levels, 0.1);
+    const peak = percentile(levels, 0.95);
+    if (peak < -60) return null;
+    const threshold = floor + (peak - floor) * 0.35;
+
+    let first = -1;
+    let last = -1;
+    for (let f = 0; f < levels.length; f++) {
+      if (levels[f] <= threshold) continue;
+      if (first < 0) first = f;
+      last = f;
+    }
+    if (first < 0) return null;
+
+    const minFrames = Math.max(1, Math.round(minPauseSeconds / frameSeconds));
+    const pauses = [];
+    let runStart = -1;
+    for (let f = first; f <= last + 1; f++) {
+      const silent = f <= last && levels[f] <= threshold;
+      if (silent && runStart < 0) runStart = f;
+      if (!silent && runStart >= 0) {
+        if (f - runStart >= minFrames) pauses.push({ start: runStart * frameSeconds, end: f * frameSeconds });
+        runStart = -1;
+      }
+    }
+    return { speechStart: first * frameSeconds, speechEnd: (last + 1) * frameSeconds, pauses };
+  };
+
+  /** Rough spoken length of a token, plus the pause its punctuation asks for. */
+  const tokenWeights = tokens => tokens.map(token => {
+    const text = String(token || "");
+    const letters = (text.match(/[\p{L}\p{N}]/gu) || []).length;
+    let pause = 0;
+    if (/[.!?。！？]["'”’)\]]*$/u.test(text)) pause = 6;
+    else if (/[,;:、，；：—]["'”’)\]]*$/u.test(text)) pause = 3;
+    return { speech: Math.max(1, letters) + 1, pause };
+  });
+
+  const roundTime = value => Math.round(value * 1000) / 1000;
+
+  /**
+   * Monotonic pairing of word gaps with pauses: `expected[g]` is where gap g
+   * should fall. Returns the pause matched to each gap, or null.
+   */
+  const matchPauses = (expected, pauses, tolerance) => {
+    const matchScore = (g, p) => {
+      const pause = pauses[p];
+      const distance = Math.abs((pause.start + pause.end) / 2 - expected[g]);
+      if (distance >= tolerance) return -Infinity;
+      return 1 - 0.5 * distance / tolerance + 0.5 * Math.min(1, (pause.end - pause.start) / 0.2);
+    };
+
+    // score[g][p]: best total using the first g gaps and the first p pauses
+    const score = Array.from({ length: expected.length + 1 }, () => new Float64Array(pauses.length + 1));
+    for (let g = 1; g <= expected.length; g++) {
+      for (let p = 1; p <= pauses.length; p++) {
+        score[g][p] = Math.max(score[g - 1][p], score[g][p - 1], score[g - 1][p - 1] + matchScore(g - 1, p - 1));
+      }
+    }
+    const matched = new Array(expected.length).fill(null);
+    for (let g = expected.length, p = pauses.length; g > 0 && p > 0;) {
+      if (score[g][p] === score[g - 1][p]) g -= 1;
+      else if (score[g][p] === score[g][p - 1]) p -= 1;
+      else { matched[g - 1] = pauses[p - 1]; g -= 1; p -= 1; }
+    }
+    return matched;
+  };
+
+  /**
+   * `{ end, start }` times for every gap: matched gaps span their pause, the
+   * rest are interpolated by position between the neighbouring anchors.
+   */
+  const placeGaps = (positions, total, matched, speechStart, speechEnd) => {
+    const anchors = [{ index: -1, pos: 0, end: speechStart, start: speechStart }];
+    matched.forEach((pause, g) => {
+      if (pause) anchors.push({ index: g, pos: positions[g], end: pause.start, start: pause.end });
+    });
+    anchors.push({ index: positions.length, pos: total, end: speechEnd, start: speechEnd });
+
+    const cuts = new Array(positions.length);
+    for (let a = 0; a < anchors.length - 1; a++) {
+      const left = anchors[a];
+      const right = anchors[a + 1];
+      if (left.index >= 0) cuts[left.index] = { end: left.end, start: left.start };
+      for (let g = left.index + 1; g < right.index; g++) {
+        const ratio = (positions[g] - left.pos) / ((right.pos - left.pos) || 1);
+        const time = left.start + ratio * (right.end - left.start);
+        cuts[g] = { end: time, start: time };
+      }
+    }
+    return cuts;
+  };
+
+  /**
+   * Match detected pauses to the gaps between `tokens` and derive word timings.
+   * Each gap's expected position comes from the tokens' relative length; a
+   * monotonic dynamic program pairs gaps with nearby pauses, and unmatched gaps
+   * are interpolated between their matched neighbours. A second pass re-estimates
+   * the positions from the first pass's anchors, which corrects drift over long chunks.
+   * Returns `{ words: [{ word, start, end }], confidence }` with confidence in 0…1.
+   */
+  const alignTokensToPauses = (tokens, analysis) => {
+    const list = Array.isArray(tokens) ? tokens.filter(Boolean) : [];
+    if (!list.length || !analysis) return { words: [], confidence: 0 };
+    const { speechStart, speechEnd } = analysis;
+    const duration = speechEnd - speechStart;
+    if (duration <= 0) return { words: [], confidence: 0 };
+
+    const weights = tokenWeights(list);
+    const gapCount = list.length - 1;
+    // Cumulative position of each token boundary, counting half of its punctuation pause
+    const total = weights.reduce((sum, w, i) => sum + w.speech + (i < gapCount ? w.pause : 0), 0);
+    const positions = [];
+    let cursor = 0;
+    for (let i = 0; i < gapCount; i++) {
+      cursor += weights[i].speech;
+      positions.push(cursor + weights[i].pause / 2);
+      cursor += weights[i].pause;
+    }
+
+    const pauses = analysis.pauses || [];
+    // Length estimates drift over a chunk, so allow about a word either way and
+    // let the number of matches dominate the score over their exact distance
+    const tolerance = Math.max(0.2, duration / list.length);
+    let expected = positions.map(pos => speechStart + (pos / total) * duration);
+    // One pause per gap is the clean case: take them in order if none is far off
+    let matched = pauses.length === gapCount
+      && pauses.every((pause, g) => Math.abs((pause.start + pause.end) / 2 - expected[g]) < 2 * tolerance)
+      ? pauses.slice()
+      : matchPauses(expected, pauses, tolerance);
+    let cuts = placeGaps(positions, total, matched, speechStart, speechEnd);
+    expected = cuts.map(cut => (cut.start + cut.end) / 2);
+    matched = matchPauses(expected, pauses, tolerance / 2);
+    cuts = placeGaps(positions, total, matched, speechStart, speechEnd);
+
+    const words = list.map((word, i) => ({
+      word,
+      start: roundTime(i ? cuts[i - 1].start : speechStart),
+      end: roundTime(i < gapCount ? cuts[i].end : speechEnd)
+    }));
+
+    if (!gapCount) return { words, confidence: 1 };
+    // Unmatched pauses mean the audio and the tokens disagree; long ones count fully
+    const used = new Set(matched.filter(Boolean));
+    const stray = pauses
+      .filter(pause => !used.has(pause))
+      .reduce((sum, pause) => sum + Math.min(1, (pause.end - pause.start) / ALIGN_LONG_PAUSE_SECONDS), 0);
+    const confidence = Math.max(0, Math.min(1, (used.size - stray) / gapCount));
+    return { words, confidence };
+  };
+
+  /**
+   * Word timings for `tokens` spoken in a WAV buffer, or null when the audio
+   * cannot be decoded locally (compressed formats) or holds no speech.
+   */
+  const alignAudioLocally = (arrayBuffer, tokens) => {
+    const pcm = parseWavPcm(arrayBuffer);
+    if (!pcm) return null;
+    const analysis = findPauses(measureFrameEnergy(pcm.samples, pcm.sampleRate));
+    if (!analysis) return null;
+    return alignTokensToPauses(tokens, analysis);
+  };
+
+  const api = {
+    LOCAL_ALIGN_MIN_CONFIDENCE,
+    parseWavPcm,
+    measureFrameEnergy,
+    findPauses,
+    alignTokensToPauses,
+    alignAudioLocally
+  };
+
+  globalThis.GroqAlignCore = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
@@ -1,10 +1,9 @@
 /* Immersive Speak — background service worker.
-   Handles Groq API calls (TTS + STT), on-demand engine injection,
+   Handles TTS provider calls, Groq STT + agent calls, on-demand engine injection,
    IndexedDB caching, and opt-in analytics. */
 
-importScripts("shared.js");
+importScripts("shared.js", "providers.js", "agent-core.js", "speech-core.js", "normalize-core.js", "align-core.js", "pipeline-core.js");
 
-const API_BASE = "https://api.groq.com/openai/v1";
 const TARGET_ATTR = GROQ_TARGET_ATTR;
 
 const getSettings = () => new Promise(resolve => {
@@ -73,31 +72,21 @@ function fetchWithTimeout(url, options, timeoutMs = FETCH_TIMEOUT_MS) {
 }
 
 const fetchTts = async (text, settings, signal) => {
+  const provider = GroqProviders.resolveTtsProvider(settings);
+  const format = GroqProviders.ttsFormat(settings);
   return withRetry(async () => {
-    const res = await fetchWithTimeout(`${API_BASE}/audio/speech`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${settings.api_key}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: settings.tts_model,
-        voice: settings.tts_voice,
-        input: text,
-        response_format: settings.tts_format
-      }),
-      signal
-    });
+    const { url, init } = GroqProviders.buildTtsRequest(text, settings);
+    const res = await fetchWithTimeout(url, { ...init, signal });
 
     if (!res.ok) {
       const msg = await safeErrorMessage(res);
-      throw new Error(`Groq TTS failed: ${msg}`);
+      throw new Error(`${provider.label} TTS failed: ${msg}`);
     }
 
     const buffer = await res.arrayBuffer();
     return {
       buffer,
-      mime: mimeForFormat(settings.tts_format)
+      mime: provider.mimes?.[format] || mimeForFormat(format)
     };
   });
 };
@@ -106,14 +95,14 @@ const fetchStt = async (audioBuffer, mimeType, settings, signal) => {
   return withRetry(async () => {
     const blob = new Blob([audioBuffer], { type: mimeType || "audio/wav" });
     const form = new FormData();
-    form.append("file", blob, `speech.${extForFormat(settings.tts_format)}`);
+    form.append("file", blob, `speech.${extForFormat(GroqProviders.ttsFormat(settings))}`);
     form.append("model", settings.stt_model);
     form.append("response_format", "verbose_json");
     form.append("timestamp_granularities[]", "word");
     const lang = settings.stt_language || detectLanguage();
     if (lang) form.append("language", lang);
 
-    const res = await fetchWithTimeout(`${API_BASE}/audio/transcriptions`, {
+    const res = await fetchWithTimeout(`${GroqProviders.groqApiBase(settings)}/audio/transcriptions`, {
       method: "POST",
       headers: {
         "Authorization": `Bearer ${settings.api_key}`
@@ -141,105 +130,121 @@ function detectLanguage() {
   }
 }
 
+const AGENT_SYSTEM_PROMPT = [
+  "Plan how to read a webpage aloud from its blocks.",
+  "Each block has an id, a kind (heading, paragraph, list_item, table, caption, quote, code, block),",
+  "its heading level and parent heading for headings, the id of the heading whose section it is in,",
+  "its landmark (main, article, nav, aside, header, footer…), its position from 0 (top) to 1 (bottom),",
+  "its DOM depth, word count, link ratio and text; tables list their size, caption and column headers,",
+  "and captions the alt text of their image.",
+  "Return JSON with key plan: an array of steps in reading order, each {\"id\": block id, \"action\": …}.",
+  "Use only ids of blocks you were sent.",
+  "Actions: \"read\" reads a block; \"announce\" reads a heading on its own;",
+  "\"read_section\" reads every block in a heading's section, so announce a heading and then read its section;",
+  "\"read_table\" reads a table with \"strategy\": \"rows\" (header row, then row by row),",
+  "\"headers\" (caption and column headers only, for large tables) or \"whole\";",
+  "\"read_figure\" reads a caption together with its image's alt text.",
+  "Only include main body content (not nav, ads, menus, footers, sidebars, comment forms).",
+  "If nothing should be read, return {\"plan\":[]}.",
+  "Return JSON only."
+].join(" ");
+
+// Structured outputs first; models without json_schema support still get JSON mode
+const AGENT_RESPONSE_FORMATS = [
+  { type: "json_schema", json_schema: { name: "reading_plan", schema: GroqAgentCore.AGENT_PLAN_SCHEMA } },
+  { type: "json_object" }
+];
+// A 400 that rejects the response format, rather than the model, key or request
+const RESPONSE_FORMAT_ERROR = /response.?format|json.?schema|structured output/i;
+
+/**
+ * Ask the agent for a reading plan of `blocks`. An invalid plan gets one
+ * repair round with the problems listed; if that is still invalid, this
+ * throws with the problems instead of reading guessed blocks.
+ */
 const fetchAgentSelection = async (blocks, settings, signal) => {
-  const res = await fetchWithTimeout(`${API_BASE}/chat/completions`, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${settings.api_key}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: settings.agent_model,
-      temperature: 0,
-      max_tokens: 400,
-      messages: [
-        {
-          role: "system",
-          content: [
-            "Select which webpage blocks should be read aloud.",
-            "Return JSON with key read_ids: array of block ids in reading order.",
-            "Also return rationales: object mapping id -> short reason.",
-            "Only include blocks that are main body content (not nav, ads, menus, footers, sidebars).",
-            "If nothing should be read, return {\"read_ids\":[]}.",
-            "Return JSON only."
-          ].join(" ")
-        },
-        {
-          role: "user",
-          content: JSON.stringify({ blocks })
-        }
-      ]
-    }),
-    signal
-  });
+  const messages = [
+    { role: "system", content: AGENT_SYSTEM_PROMPT },
+    { role: "user", content: JSON.stringify({ blocks }) }
+  ];
+  let content = await postAgentCompletion(messages, blocks.length, settings, signal);
+  let result = GroqAgentCore.validateAgentPlan(content, blocks);
+  if (result.ok) return result;
+
+  trackEvent("agent_repairs");
+  messages.push(
+    { role: "assistant", content },
+    { role: "user", content: GroqAgentCore.agentRepairPrompt(result.errors) }
+  );
+  content = await postAgentCompletion(messages, blocks.length, settings, signal);
+  result = GroqAgentCore.validateAgentPlan(content, blocks);
+  if (result.ok) return result;
+  throw new Error(i18n("toastAgentInvalidPlan", [result.errors.slice(0, 3).join("; ")]));
+};
 
-  if (!res.ok) {
-    const msg = await safeErrorMessage(res);
-    throw new Error(`Groq agent failed: ${msg}`);
-  }
+/**
+ * Reply text of one chat completion planning `blockCount` blocks; falls back
+ * to JSON mode when the model rejects the schema. Other errors are thrown.
+ */
+const postAgentCompletion = async (messages, blockCount, settings, signal) => {
+  for (const [index, responseFormat] of AGENT_RESPONSE_FORMATS.entries()) {
+    const res = await fetchWithTimeout(`${GroqProviders.groqApiBase(settings)}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${settings.api_key}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        model: settings.agent_model,
+        temperature: 0,
+        max_tokens: GroqAgentCore.agentMaxTokens(blockCount),
+        response_format: responseFormat,
+        messages
+      }),
+      signal
+    });
 
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content || "";
-  return normalizeAgentResponse(content);
-};
+    if (!res.ok) {
+      const msg = await safeErrorMessage(res);
+      const formatRejected = res.status === 400 && RESPONSE_FORMAT_ERROR.test(msg);
+      if (formatRejected && index < AGENT_RESPONSE_FORMATS.length - 1) continue;
+      throw new Error(`Groq agent failed: ${msg}`);
+    }
 
-const normalizeAgentResponse = content => {
-  if (!content) return { readIds: [], rationales: {} };
-  const direct = parseAgentJson(content);
-  if (direct.readIds.length || Object.keys(direct.rationales).length) return direct;
-  const extracted = extractJsonObject(content);
-  if (extracted) {
-    const parsed = parseAgentJson(extracted);
-    if (parsed.readIds.length || Object.keys(parsed.rationales).length) return parsed;
+    const data = await res.json();
+    return data?.choices?.[0]?.message?.content || "";
   }
-  return { readIds: parseIdsFromText(content), rationales: {} };
+  return "";
 };
 
-const parseAgentJson = jsonText => {
-  try {
-    const parsed = JSON.parse(jsonText);
-    const readIds = (() => {
-      if (Array.isArray(parsed)) return normalizeIdArray(parsed);
-      if (Array.isArray(parsed.read_ids)) return normalizeIdArray(parsed.read_ids);
-      if (Array.isArray(parsed.readIds)) return normalizeIdArray(parsed.readIds);
-      if (Array.isArray(parsed.ids)) return normalizeIdArray(parsed.ids);
-      return [];
-    })();
-    const rawRationales = parsed.rationales || parsed.reasons || parsed.explanations || {};
-    const rationales = {};
-    if (rawRationales && typeof rawRationales === "object") {
-      for (const [key, value] of Object.entries(rawRationales)) {
-        const id = Number.parseInt(key, 10);
-        if (!Number.isFinite(id)) continue;
-        if (typeof value === "string") rationales[id] = value.slice(0, 140);
-      }
+/**
+ * Word timings for a synthesized chunk. Local alignment from the audio comes
+ * first; STT runs only when that is unavailable or not confident enough (or
+ * always, with `alignment_mode: "stt"`). Returns [] when neither produces
+ * timings, and content-engine falls back to evenly spread words.
+ */
+const alignChunk = async (buffer, mime, chunkText, settings, lang, signal) => {
+  const mode = settings.alignment_mode;
+  let local = null;
+  if (mode !== "stt") {
+    const tokens = GroqSpeechCore.segmentWords(chunkText, lang).map(w => w.text);
+    local = GroqAlignCore.alignAudioLocally(buffer, tokens);
+    if (local?.words.length && (mode === "local" || local.confidence >= GroqAlignCore.LOCAL_ALIGN_MIN_CONFIDENCE)) {
+      trackEvent("local_alignments");
+      return local.words;
     }
-    return { readIds, rationales };
-  } catch (_) {
-    return { readIds: [], rationales: {} };
   }
-};
-
-const extractJsonObject = text => {
-  const first = text.indexOf("{");
-  const last = text.lastIndexOf("}");
-  if (first === -1 || last === -1 || last <= first) return "";
-  return text.slice(first, last + 1);
-};
 
-const parseIdsFromText = text => {
-  const matches = String(text).match(/\d+/g);
-  if (!matches) return [];
-  return normalizeIdArray(matches);
-};
-
-const normalizeIdArray = arr => {
-  const out = [];
-  for (const val of arr) {
-    const num = Number.parseInt(val, 10);
-    if (Number.isFinite(num)) out.push(num);
+  // STT always runs on Groq, so without a Groq key we go straight to fallback timing.
+  if (mode === "local" || !settings.api_key) return local?.words || [];
+  try {
+    return await fetchStt(buffer, mime, settings, signal);
+  } catch (sttErr) {
+    if (sttErr?.name === "AbortError") throw sttErr;
+    trackEvent("stt_errors");
+    console.warn("[Immersive Speak] STT failed, using fallback timing:", sttErr?.message);
+    return local?.words || [];
   }
-  return out;
 };
 
 const extractWords = json => {
@@ -255,16 +260,24 @@ const extractWords = json => {
   return [];
 };
 
-const arrayBufferToBase64 = buffer => {
-  const bytes = new Uint8Array(buffer);
-  const CHUNK = 0x8000;
-  const parts = [];
-  for (let i = 0; i < bytes.length; i += CHUNK) {
-    parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK)));
-  }
-  return btoa(parts.join(""));
+const base64ToBlob = (base64, mime) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mime || "audio/wav" });
 };
 
+/** Base64 of a Blob, encoded natively by FileReader rather than byte by byte in script. */
+const blobToBase64 = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const url = String(reader.result);
+    resolve(url.slice(url.indexOf(",") + 1));
+  };
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
 const safeErrorMessage = async res => {
   try {
     const data = await res.json();
@@ -275,60 +288,287 @@ const safeErrorMessage = async res => {
   }
 };
 
+// ─── Pronunciation lexicon ────────────────────────────────────────────
+
+/**
+ * The user's pronunciations for the page substituted into `text`:
+ * `{ text, words, applied }` as returned by applyLexicon.
+ */
+function pronounce(text, settings, lang, pageUrl) {
+  const lexicon = GroqNormalizeCore.lexiconForSite(settings.pronunciations, hostnameOf(pageUrl));
+  return GroqNormalizeCore.applyLexicon(text, GroqSpeechCore.segmentWords(text, lang), lexicon);
+}
+
+function hostnameOf(url) {
+  try { return new URL(url).hostname; } catch (_) { return ""; }
+}
+
+/** Timings of the substituted text folded back onto the words of the original, so highlighting follows the page. */
+function unpronounce(spoken, timedWords) {
+  if (!spoken.applied.length || !timedWords.length) return timedWords;
+  return GroqSpeechCore.buildTimingMap(spoken.words, timedWords).map(entry => ({
+    word: spoken.words[entry.wordIndex].text,
+    start: entry.start,
+    end: entry.end
+  }));
+}
+
 // ─── IndexedDB cache ──────────────────────────────────────────────────
 
 const IDB_NAME = "immersive-speak-cache";
-const IDB_VERSION = 1;
+const IDB_VERSION = 3;
 const IDB_STORE = "tts-chunks";
+const CACHE_EVICT_DELAY_MS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
 
+// Records: { key, value: { audio: Blob, mime, words }, ts, lastUsed, bytes, origin, provider, model, voice }.
+// v2 added everything after `ts`, with indexes for LRU order and per-site listing;
+// v3 stores the audio as a Blob instead of a base64 string.
 function openCacheDb() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(IDB_NAME, IDB_VERSION);
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = event => {
       const db = req.result;
-      if (!db.objectStoreNames.contains(IDB_STORE)) {
-        db.createObjectStore(IDB_STORE, { keyPath: "key" });
-      }
+      const store = db.objectStoreNames.contains(IDB_STORE)
+        ? req.transaction.objectStore(IDB_STORE)
+        : db.createObjectStore(IDB_STORE, { keyPath: "key" });
+      migrateCache(store, event.oldVersion);
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
-function cacheKey(text, model, voice) {
-  return `${model}|${voice}|${text}`;
+/**
+ * Bring records written by `oldVersion` up to date in one pass (runs inside the
+ * upgrade transaction, so every step must stay synchronous).
+ * v2: indexes plus metadata backfilled from each entry's key. v3: base64 audio → Blob.
+ */
+function migrateCache(store, oldVersion) {
+  if (!store.indexNames.contains("lastUsed")) store.createIndex("lastUsed", "lastUsed");
+  if (!store.indexNames.contains("origin")) store.createIndex("origin", "origin");
+  store.openCursor().onsuccess = event => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    let record = cursor.value;
+    if (oldVersion < 2) {
+      record = {
+        ...record,
+        ...describeCacheKey(record.key),
+        lastUsed: record.lastUsed || record.ts || Date.now(),
+        origin: record.origin || ""
+      };
+    }
+    if (typeof record.value?.audio === "string") {
+      record = { ...record, value: { ...record.value, audio: base64ToBlob(record.value.audio, record.value.mime) } };
+    }
+    cursor.update({ ...record, bytes: cacheValueBytes(record.value) });
+    cursor.continue();
+  };
+}
+
+/**
+ * `pronunciations` are the lexicon entries applied to `text`, so edits to them
+ * miss the cache. A base URL other than the provider's default is part of the
+ * key: two compatible endpoints may share model and voice names.
+ */
+function cacheKey(text, settings, pronunciations = []) {
+  const provider = settings.tts_provider || GroqProviders.DEFAULT_TTS_PROVIDER;
+  const prefix = provider === GroqProviders.DEFAULT_TTS_PROVIDER ? "" : `${provider}|`;
+  const lexicon = pronunciations.length
+    ? `|lexicon:${pronunciations.map(p => `${p.term}=${p.spoken}`).join(";")}`
+    : "";
+  const baseUrl = GroqProviders.ttsBaseUrl(settings);
+  const endpoint = baseUrl === GroqProviders.ttsBaseUrl({ tts_provider: provider }) ? "" : `|base:${baseUrl}`;
+  return `${prefix}${settings.tts_model}|${settings.tts_voice}|${text}${lexicon}${endpoint}`;
 }
 
-async function cacheGet(key) {
+/** Provider, model and voice back out of a cacheKey (for entries written before v2). */
+function describeCacheKey(key) {
+  let rest = String(key || "");
+  let provider = GroqProviders.DEFAULT_TTS_PROVIDER;
+  for (const id of Object.keys(GroqProviders.TTS_PROVIDERS)) {
+    if (id !== GroqProviders.DEFAULT_TTS_PROVIDER && rest.startsWith(`${id}|`)) {
+      provider = id;
+      rest = rest.slice(id.length + 1);
+      break;
+    }
+  }
+  const [model = "", voice = ""] = rest.split("|");
+  return { provider, model, voice };
+}
+
+function cacheMeta(settings, pageUrl) {
+  let origin = "";
+  try { origin = new URL(pageUrl).origin; } catch (_) {}
+  if (origin === "null") origin = "";
+  return {
+    origin,
+    provider: settings.tts_provider || GroqProviders.DEFAULT_TTS_PROVIDER,
+    model: settings.tts_model,
+    voice: settings.tts_voice
+  };
+}
+
+/** Approximate stored size: audio plus the word timings. */
+function cacheValueBytes(value) {
+  const audio = value?.audio;
+  const bytes = audio instanceof Blob ? audio.size : typeof audio === "string" ? Math.floor(audio.length * 3 / 4) : 0;
+  return bytes + JSON.stringify(value?.words || []).length;
+}
+
+const isCacheExpired = (record, ttlDays, now = Date.now()) =>
+  ttlDays > 0 && now - (record.ts || 0) > ttlDays * DAY_MS;
+
+/** Cached value for `key`, refreshing its LRU stamp; expired entries are dropped on read. */
+async function cacheGet(key, ttlDays) {
   try {
     const db = await openCacheDb();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(IDB_STORE, "readonly");
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, "readwrite");
       const store = tx.objectStore(IDB_STORE);
+      let value = null;
       const req = store.get(key);
-      req.onsuccess = () => resolve(req.result?.value || null);
-      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const record = req.result;
+        if (!record) return;
+        if (isCacheExpired(record, ttlDays)) {
+          store.delete(key);
+          return;
+        }
+        value = record.value;
+        store.put({ ...record, lastUsed: Date.now() });
+      };
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error);
     });
   } catch (_) {
     return null;
   }
 }
 
-async function cachePut(key, value) {
+async function cachePut(key, value, meta) {
   try {
     const db = await openCacheDb();
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const tx = db.transaction(IDB_STORE, "readwrite");
       const store = tx.objectStore(IDB_STORE);
-      store.put({ key, value, ts: Date.now() });
+      const now = Date.now();
+      store.put({ key, value, ts: now, lastUsed: now, bytes: cacheValueBytes(value), ...meta });
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
+    scheduleCacheEviction();
   } catch (_) {
     // Cache write failure is non-critical
   }
 }
 
+/**
+ * Walk the records in `mode`; `visit(record, cursor)` may update or delete
+ * through the cursor, and returns false to stop the walk early.
+ */
+async function cacheScan(mode, visit, indexName) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, mode);
+    const store = tx.objectStore(IDB_STORE);
+    const source = indexName ? store.index(indexName) : store;
+    source.openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (visit(cursor.value, cursor) === false) return;
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+let cacheEvictTimer = null;
+
+function scheduleCacheEviction() {
+  clearTimeout(cacheEvictTimer);
+  cacheEvictTimer = setTimeout(() => {
+    cacheEvictTimer = null;
+    enforceCacheLimits().catch(() => {});
+  }, CACHE_EVICT_DELAY_MS);
+}
+
+/** Drop expired entries, then least recently used ones until the cache fits its budget. */
+async function enforceCacheLimits() {
+  const settings = await getSettings();
+  const budget = Math.max(0, Number(settings.cache_max_mb) || 0) * MB;
+  const ttlDays = Number(settings.cache_ttl_days) || 0;
+  const now = Date.now();
+
+  // Totals only: records are not kept, so their audio never piles up in memory
+  let total = 0;
+  let expired = 0;
+  await cacheScan("readonly", record => {
+    if (isCacheExpired(record, ttlDays, now)) expired += 1;
+    else total += record.bytes || 0;
+  });
+
+  const overBudget = () => budget > 0 && total > budget;
+  if (!expired && !overBudget()) return;
+
+  // Oldest first, stopping once nothing expired is left and the cache fits
+  await cacheScan("readwrite", (record, cursor) => {
+    if (isCacheExpired(record, ttlDays, now)) {
+      cursor.delete();
+      expired -= 1;
+    } else if (overBudget()) {
+      cursor.delete();
+      total -= record.bytes || 0;
+    }
+    return expired > 0 || overBudget();
+  }, "lastUsed");
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && (changes.cache_max_mb || changes.cache_ttl_days)) scheduleCacheEviction();
+});
+
+/** Totals and per site/provider/model/voice groups for the options page cache browser. */
+async function cacheSummary() {
+  const groups = new Map();
+  let count = 0;
+  let bytes = 0;
+  await cacheScan("readonly", record => {
+    const group = {
+      origin: record.origin || "",
+      provider: record.provider || GroqProviders.DEFAULT_TTS_PROVIDER,
+      model: record.model || "",
+      voice: record.voice || ""
+    };
+    const id = [group.origin, group.provider, group.model, group.voice].join("\u0000");
+    if (!groups.has(id)) groups.set(id, { ...group, count: 0, bytes: 0, lastUsed: 0 });
+    const entry = groups.get(id);
+    entry.count += 1;
+    entry.bytes += record.bytes || 0;
+    entry.lastUsed = Math.max(entry.lastUsed, record.lastUsed || 0);
+    count += 1;
+    bytes += record.bytes || 0;
+  });
+  return { count, bytes, groups: [...groups.values()] };
+}
+
+/** Delete the entries matching every field given in `filter` (origin, provider, model, voice). */
+async function cacheDelete(filter) {
+  const fields = ["origin", "provider", "model", "voice"].filter(field => typeof filter?.[field] === "string");
+  let deleted = 0;
+  await cacheScan("readwrite", (record, cursor) => {
+    const values = { origin: "", provider: GroqProviders.DEFAULT_TTS_PROVIDER, model: "", voice: "", ...record };
+    if (fields.every(field => values[field] === filter[field])) {
+      cursor.delete();
+      deleted += 1;
+    }
+  });
+  return deleted;
+}
+
 async function cacheClear() {
   try {
     const db = await openCacheDb();
@@ -342,21 +582,6 @@ async function cacheClear() {
   } catch (_) {}
 }
 
-async function cacheCount() {
-  try {
-    const db = await openCacheDb();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(IDB_STORE, "readonly");
-      const store = tx.objectStore(IDB_STORE);
-      const req = store.count();
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
-  } catch (_) {
-    return 0;
-  }
-}
-
 // ─── Analytics (opt-in, lightweight) ──────────────────────────────────
 
 let analyticsOptIn = false;
@@ -374,8 +599,11 @@ const analyticsCounters = {
   tts_requests: 0,
   tts_errors: 0,
   stt_errors: 0,
+  local_alignments: 0,
   agent_requests: 0,
-  cache_hits: 0
+  agent_repairs: 0,
+  cache_hits: 0,
+  delivery_errors: 0
 };
 
 function trackEvent(name) {
@@ -396,7 +624,7 @@ chrome.runtime.setUninstallURL("https://forms.gle/immersive-speak-feedback");
 
 const injectEngine = async (tabId) => {
   try {
-    const files = ["content-engine.js"];
+    const files = ["speech-core.js", "normalize-core.js", "readability-core.js", "content-engine.js"];
     // Only inject shared.js if globals are missing (pre-existing tabs after install/reload)
     try {
       const results = await chrome.scripting.executeScript({
@@ -457,6 +685,311 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
+// ─── Keyboard shortcuts (commands API) ────────────────────────────────
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  // Must open the panel synchronously within the shortcut's user gesture
+  if (command === "open-side-panel") {
+    if (tab?.id) chrome.sidePanel.open({ tabId: tab.id }).catch(err => console.warn("[Immersive Speak] side panel:", err));
+    return;
+  }
+  // The queue plays offscreen, where no page can stop it
+  if (command === "stop-playback" && (await getQueue()).playing) await stopQueue();
+
+  let tabId = tab?.id;
+  if (!tabId) {
+    const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = active?.id;
+  }
+  if (!tabId) return;
+
+  if (command === "start-agent-read" || command === "start-picker" || command === "read-selection") {
+    trackEvent("activations");
+  }
+  if (command === "start-picker") pickerTabs.add(tabId);
+
+  await injectEngine(tabId);
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: GROQ_MESSAGES.COMMAND, command });
+  } catch (err) {
+    console.warn("[Immersive Speak] sendMessage command:", err);
+    if (command === "start-picker") pickerTabs.delete(tabId);
+  }
+});
+
+// ─── Context menus ───────────────────────────────────────────────────
+
+const CONTEXT_MENU_ITEMS = [
+  { id: "read-selection", contexts: ["selection"], title: "menuReadSelection" },
+  { id: "read-from-here", contexts: ["page", "selection"], title: "menuReadFromHere" },
+  { id: "read-link-page", contexts: ["link"], title: "menuReadLinkPage" },
+  { id: "read-alt-text", contexts: ["image"], title: "menuReadAltText" },
+  { id: "queue-add-page", contexts: ["page"], title: "menuQueueAddPage" },
+  { id: "queue-add-selection", contexts: ["selection"], title: "menuQueueAddSelection" },
+  { id: "queue-add-link", contexts: ["link"], title: "menuQueueAddLink" },
+  { id: "queue-open", contexts: ["action", "page"], title: "menuQueueOpen" }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const item of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({ id: item.id, contexts: item.contexts, title: i18n(item.title) });
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab?.id) return;
+
+  // Reading queue entries — must open the panel synchronously within the click gesture
+  if (info.menuItemId === "queue-open") {
+    chrome.sidePanel.open({ tabId: tab.id }).catch(err => console.warn("[Immersive Speak] side panel:", err));
+    return;
+  }
+  if (info.menuItemId === "queue-add-page") {
+    await addToQueue({ kind: "page", url: tab.url, title: tab.title, tabId: tab.id });
+    return;
+  }
+  if (info.menuItemId === "queue-add-selection") {
+    const text = String(info.selectionText || "").trim();
+    if (text) await addToQueue({ kind: "selection", url: tab.url, title: tab.title, tabId: tab.id, text });
+    return;
+  }
+  if (info.menuItemId === "queue-add-link") {
+    if (info.linkUrl) await addToQueue({ kind: "link", url: info.linkUrl, title: info.linkUrl });
+    return;
+  }
+
+  trackEvent("activations");
+
+  // Open the link in a new tab and let the agent read its main content there
+  if (info.menuItemId === "read-link-page") {
+    if (!info.linkUrl) return;
+    const created = await chrome.tabs.create({ url: info.linkUrl, openerTabId: tab.id, active: true });
+    if (!created?.id) return;
+    await waitForTabComplete(created.id);
+    await injectEngine(created.id);
+    try {
+      await chrome.tabs.sendMessage(created.id, { type: GROQ_MESSAGES.COMMAND, command: "start-agent-read" });
+    } catch (err) {
+      console.warn("[Immersive Speak] sendMessage link agent-read:", err);
+    }
+    return;
+  }
+
+  await injectEngine(tab.id);
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      type: GROQ_MESSAGES.CONTEXT_READ,
+      action: info.menuItemId,
+      srcUrl: info.srcUrl || ""
+    }, { frameId: info.frameId ?? 0 });
+  } catch (err) {
+    console.warn("[Immersive Speak] sendMessage context-read:", err);
+  }
+});
+
+function waitForTabComplete(tabId, timeoutMs = FETCH_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === "complete") done();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.get(tabId).then(t => { if (t?.status === "complete") done(); }).catch(done);
+  });
+}
+
+// ─── Reading queue ───────────────────────────────────────────────────
+// Items are kept in chrome.storage so the queue survives service-worker restarts.
+// Background plans each item into text (pages are planned in a tab by the
+// engine), chunks it, and hands it to the offscreen player, which streams it
+// over the TTS port and reports back with QUEUE_DONE. No tab has to stay open.
+
+const EMPTY_QUEUE = { items: [], currentId: null, playing: false };
+const OFFSCREEN_URL = "offscreen.html";
+
+const getQueue = () => new Promise(resolve => {
+  chrome.storage.local.get({ [GROQ_QUEUE_KEY]: EMPTY_QUEUE }, values => {
+    resolve({ ...EMPTY_QUEUE, ...values[GROQ_QUEUE_KEY] });
+  });
+});
+
+const setQueue = queue => new Promise(resolve => {
+  chrome.storage.local.set({ [GROQ_QUEUE_KEY]: queue }, resolve);
+});
+
+async function addToQueue(entry) {
+  if (!entry?.url) return;
+  const queue = await getQueue();
+  queue.items.push({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    addedAt: Date.now(),
+    ...entry
+  });
+  await setQueue(queue);
+}
+
+async function startQueue() {
+  const queue = await getQueue();
+  if (!queue.items.length) return;
+  queue.playing = true;
+  queue.currentId = queue.items[0].id;
+  await setQueue(queue);
+  await playQueueItem(queue.items[0]);
+}
+
+async function stopQueue() {
+  const queue = await getQueue();
+  await setQueue({ ...queue, playing: false, currentId: null });
+  await closeOffscreenPlayer();
+}
+
+/** Drop the finished item and move on while the queue is playing. */
+async function finishQueueItem(id) {
+  const queue = await getQueue();
+  if (queue.currentId !== id) return;
+  queue.items = queue.items.filter(item => item.id !== id);
+  if (!queue.playing || !queue.items.length) {
+    await setQueue({ ...queue, playing: false, currentId: null });
+    await closeOffscreenPlayer();
+    return;
+  }
+  queue.currentId = queue.items[0].id;
+  await setQueue(queue);
+  await playQueueItem(queue.items[0]);
+}
+
+async function playQueueItem(item) {
+  try {
+    const settings = await getSettings();
+    const parts = (await queueItemText(item))
+      .map(part => ({ lang: part.lang, chunks: queueChunks(part.text, part.lang, settings, item.url) }))
+      .filter(part => part.chunks.length);
+    if (!parts.length) throw new Error(i18n("toastNoContent"));
+
+    // Planning a page takes a while; the queue may have been stopped meanwhile
+    const queue = await getQueue();
+    if (!queue.playing || queue.currentId !== item.id) return;
+    await ensureOffscreenPlayer();
+    await chrome.runtime.sendMessage({
+      type: GROQ_MESSAGES.QUEUE_PLAY,
+      id: item.id,
+      parts,
+      pageUrl: item.url,
+      rate: Number(settings.playback_rates?.[hostnameOf(item.url)]) || 1
+    });
+  } catch (err) {
+    // Unreadable pages (e.g. chrome://) are skipped rather than stalling the queue
+    console.warn("[Immersive Speak] queue item:", err);
+    await finishQueueItem(item.id);
+  }
+}
+
+/** `[{ lang, text }]` to read for an item: a selection as stored, a page as its reading plan. */
+async function queueItemText(item) {
+  if (item.kind === "selection") {
+    return [{ lang: GroqSpeechCore.resolveLanguage("", item.text), text: item.text }];
+  }
+
+  // Plan in the tab the item was added from when it still shows the page,
+  // otherwise in a background tab opened for it and closed again
+  let tabId = null;
+  let temporary = false;
+  if (item.tabId) {
+    try {
+      const tab = await chrome.tabs.get(item.tabId);
+      if (tab?.url === item.url) tabId = tab.id;
+    } catch (_) {}
+  }
+  if (!tabId) {
+    const created = await chrome.tabs.create({ url: item.url, active: false });
+    tabId = created.id;
+    temporary = true;
+    await waitForTabComplete(tabId);
+  }
+  try {
+    await injectEngine(tabId);
+    const response = await chrome.tabs.sendMessage(tabId, { type: GROQ_MESSAGES.QUEUE_EXTRACT });
+    if (!response?.ok) throw new Error(response?.error || i18n("toastNoContent"));
+    return response.parts;
+  } finally {
+    if (temporary) chrome.tabs.remove(tabId).catch(() => {});
+  }
+}
+
+/**
+ * Chunk texts for plain `text`, normalized the way the engine reads page
+ * words: lexicon terms stay as written for pronounce(), the rest follows the
+ * normalization settings.
+ */
+function queueChunks(text, lang, settings, pageUrl) {
+  const words = GroqSpeechCore.segmentWords(text, lang);
+  const texts = words.map(word => word.text);
+  const lexicon = GroqNormalizeCore.lexiconForSite(settings.pronunciations, hostnameOf(pageUrl));
+  const spoken = GroqNormalizeCore.normalizeWords(texts, {
+    lang,
+    builtins: settings.text_normalization,
+    rules: settings.normalization_rules,
+    keep: GroqNormalizeCore.lexiconMatches(texts, lexicon)
+  });
+  const joiners = words.map((word, i) => {
+    const prev = words[i - 1];
+    if (!prev || !spoken[i]) return "";
+    return GroqSpeechCore.wordJoiner(prev.text, word.text, /\s/.test(text.slice(prev.end, word.start)));
+  });
+  return GroqSpeechCore.chunkTokens(spoken, settings.max_chars, { joiners, locale: lang })
+    .map(chunk => chunk.text.trim())
+    .filter(Boolean);
+}
+
+// Offscreen documents are the only place an MV3 extension can play audio without a tab
+let offscreenCreating = null;
+
+async function ensureOffscreenPlayer() {
+  if (await chrome.offscreen.hasDocument()) return;
+  offscreenCreating ??= chrome.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: ["AUDIO_PLAYBACK"],
+    justification: "Plays the reading queue in the background"
+  }).finally(() => { offscreenCreating = null; });
+  await offscreenCreating;
+}
+
+async function closeOffscreenPlayer() {
+  try {
+    if (await chrome.offscreen.hasDocument()) await chrome.offscreen.closeDocument();
+  } catch (_) {}
+}
+
+async function handleQueueControl(msg) {
+  switch (msg.action) {
+    case "start":
+      return startQueue();
+    case "stop":
+      return stopQueue();
+    case "remove": {
+      const queue = await getQueue();
+      if (queue.currentId === msg.id) await stopQueue();
+      const latest = await getQueue();
+      return setQueue({ ...latest, items: latest.items.filter(item => item.id !== msg.id) });
+    }
+    case "clear":
+      await stopQueue();
+      return setQueue(EMPTY_QUEUE);
+    case "add-current": {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (tab?.url) return addToQueue({ kind: "page", url: tab.url, title: tab.title, tabId: tab.id });
+      return;
+    }
+  }
+}
+
 // Clean up picker state when tabs close
 chrome.tabs.onRemoved.addListener(tabId => {
   pickerTabs.delete(tabId);
@@ -487,20 +1020,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return;
         }
         trackEvent("agent_requests");
-        const blocks = Array.isArray(msg.blocks) ? msg.blocks : [];
-        const trimmed = blocks.slice(0, 50).map(block => ({
-          id: block.id,
-          tag: block.tag,
-          words: block.words,
-          link_ratio: block.link_ratio,
-          text: String(block.text || "").slice(0, 400)
-        }));
+        const trimmed = GroqAgentCore.trimAgentBlocks(msg.blocks);
         if (!trimmed.length) {
-          sendResponse({ ok: true, readIds: [] });
+          sendResponse({ ok: true, readIds: [], plan: [] });
           return;
         }
         const result = await fetchAgentSelection(trimmed, settings);
-        sendResponse({ ok: true, readIds: result.readIds, rationales: result.rationales });
+        sendResponse({ ok: true, readIds: result.readIds, plan: result.plan });
       } catch (err) {
         sendResponse({ ok: false, error: err?.message || String(err) });
       }
@@ -511,8 +1037,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === GROQ_MESSAGES.SPEECH_TTS) {
     (async () => {
       try {
-        const settings = await getSettings();
-        if (!settings.api_key) {
+        const settings = GroqProviders.settingsForLanguage(await getSettings(), msg.lang);
+        if (!GroqProviders.hasTtsCredentials(settings)) {
           sendResponse({ ok: false, error: i18n("toastMissingKey") });
           return;
         }
@@ -522,8 +1048,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return;
         }
         trackEvent("tts_requests");
-        const { buffer, mime } = await fetchTts(text, settings);
-        sendResponse({ ok: true, audio: arrayBufferToBase64(buffer), mime });
+        const spoken = pronounce(text, settings, msg.lang, sender?.tab?.url);
+        const { buffer, mime } = await fetchTts(spoken.text, settings);
+        sendResponse({ ok: true, audio: await blobToBase64(new Blob([buffer], { type: mime })), mime });
       } catch (err) {
         trackEvent("tts_errors");
         sendResponse({ ok: false, error: err?.message || String(err) });
@@ -532,6 +1059,19 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  // Only the offscreen player reports queue items; pages have no say
+  if (msg.type === GROQ_MESSAGES.QUEUE_DONE) {
+    if (!sender?.tab) finishQueueItem(msg.id);
+    return;
+  }
+
+  if (msg.type === GROQ_MESSAGES.QUEUE_CONTROL) {
+    handleQueueControl(msg)
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+
   if (msg.type === GROQ_MESSAGES.INJECT) {
     const tabId = sender?.tab?.id;
     if (tabId) injectEngine(tabId);
@@ -543,8 +1083,16 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     cacheClear().then(() => sendResponse({ ok: true })).catch(() => sendResponse({ ok: false }));
     return true;
   }
-  if (msg.type === "cache-count") {
-    cacheCount().then(count => sendResponse({ count })).catch(() => sendResponse({ count: 0 }));
+  if (msg.type === "cache-summary") {
+    cacheSummary()
+      .then(summary => sendResponse({ ok: true, ...summary }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
+    return true;
+  }
+  if (msg.type === "cache-delete") {
+    cacheDelete(msg.filter)
+      .then(deleted => sendResponse({ ok: true, deleted }))
+      .catch(err => sendResponse({ ok: false, error: err?.message || String(err) }));
     return true;
   }
   if (msg.type === "analytics-summary") {
@@ -553,22 +1101,83 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 });
 
+/**
+ * Cached value → port message result. Cache hits still pay a base64 round
+ * trip: extension messaging only carries JSON, a service worker cannot mint
+ * object URLs, and a content script cannot read the extension's blob: URLs
+ * or IndexedDB. Both ends use the browser's native codecs (FileReader here,
+ * a data: URL fetch in content-engine), once per chunk.
+ */
+async function portResult(value) {
+  const audio = value.audio instanceof Blob ? await blobToBase64(value.audio) : value.audio;
+  return { audio, mime: value.mime, words: value.words || [] };
+}
+
 // ─── Streaming TTS via ports (with IndexedDB cache + resilient STT) ──
 
+// Chunks synthesized at once, and how far past the playing chunk synthesis may run
+const SYNTH_CONCURRENCY = 3;
+const SYNTH_LOOKAHEAD = 4;
+
+/** Port result for one chunk: from the cache, or TTS plus word alignment (then cached). */
+async function synthesizeChunk(chunkText, settings, lang, pageUrl, signal) {
+  const spoken = pronounce(chunkText, settings, lang, pageUrl);
+  const ck = cacheKey(chunkText, settings, spoken.applied);
+  const cached = await cacheGet(ck, Number(settings.cache_ttl_days) || 0);
+  if (cached) {
+    trackEvent("cache_hits");
+    return portResult(cached);
+  }
+
+  trackEvent("tts_requests");
+  const { buffer, mime } = await fetchTts(spoken.text, settings, signal);
+  // Word timing — resilient: an empty list makes content-engine use buildFallbackMap
+  const words = unpronounce(spoken, await alignChunk(buffer, mime, spoken.text, settings, lang, signal));
+
+  // Store in IndexedDB cache (fire-and-forget)
+  const audio = new Blob([buffer], { type: mime });
+  cachePut(ck, { audio, mime, words }, cacheMeta(settings, pageUrl));
+  return { audio: await blobToBase64(audio), mime, words };
+}
+
+/*
+ * Protocol: the client posts { type: "start", chunks, lang, paced } once, then
+ * { type: "position", index } whenever chunk `index` starts playing. Paced
+ * streams synthesize at most SYNTH_LOOKAHEAD chunks past that position; unpaced
+ * ones (export) run through every chunk. Results arrive as "chunk" messages in
+ * index order, followed by "done" or a single "error". A client without a tab
+ * (the offscreen queue player) adds the `pageUrl` it is reading to "start".
+ */
 chrome.runtime.onConnect.addListener(port => {
   if (port.name !== GROQ_MESSAGES.PORT) return;
 
   const controller = new AbortController();
+  // Cached chunks are listed per site in options, so remember which page asked
+  let pageUrl = port.sender?.tab?.url || port.sender?.url || "";
+  let started = false;
+  let pipeline = null;
+  let position = -1;
 
   port.onDisconnect.addListener(() => {
     controller.abort();
   });
 
   port.onMessage.addListener(async msg => {
-    if (msg?.type !== "start") return;
-
-    const settings = await getSettings();
-    if (!settings.api_key) {
+    if (msg?.type === "position") {
+      // May arrive while settings are still loading; the pipeline starts from it
+      if (!Number.isInteger(msg.index)) return;
+      position = Math.max(position, msg.index);
+      pipeline?.advance(position);
+      return;
+    }
+    if (msg?.type !== "start" || started) return;
+    started = true;
+    // The offscreen queue player has no tab and names the page it reads; tabs can't
+    if (!port.sender?.tab && typeof msg.pageUrl === "string") pageUrl = msg.pageUrl;
+
+    // Model, voice and STT language follow the language of the block being read
+    const settings = GroqProviders.settingsForLanguage(await getSettings(), msg.lang);
+    if (!GroqProviders.hasTtsCredentials(settings)) {
       try { port.postMessage({ type: "error", error: i18n("toastMissingKey") }); } catch (_) {}
       return;
     }
@@ -579,57 +1188,25 @@ chrome.runtime.onConnect.addListener(port => {
       return;
     }
 
-    try {
-      for (let i = 0; i < chunks.length; i++) {
-        if (controller.signal.aborted) break;
-
-        const chunkText = chunks[i];
-        const ck = cacheKey(chunkText, settings.tts_model, settings.tts_voice);
-
-        // Check IndexedDB cache first
-        const cached = await cacheGet(ck);
-        if (cached) {
-          trackEvent("cache_hits");
-          try {
-            port.postMessage({ type: "chunk", index: i, result: cached });
-          } catch (_) { break; }
-          continue;
-        }
-
-        trackEvent("tts_requests");
-        const { buffer, mime } = await fetchTts(chunkText, settings, controller.signal);
-        if (controller.signal.aborted) break;
-
-        // STT for word timing — resilient: fallback to empty words on failure
-        let words = [];
-        try {
-          words = await fetchStt(buffer, mime, settings, controller.signal);
-        } catch (sttErr) {
-          if (sttErr?.name === "AbortError") break;
-          trackEvent("stt_errors");
-          console.warn("[Immersive Speak] STT failed, using fallback timing:", sttErr?.message);
-          // words stays [] — content-engine will use buildFallbackMap
-        }
-
-        if (controller.signal.aborted) break;
-
-        const result = { audio: arrayBufferToBase64(buffer), mime, words };
-
-        // Store in IndexedDB cache (fire-and-forget)
-        cachePut(ck, result);
+    pipeline = GroqPipelineCore.createChunkPipeline({
+      count: chunks.length,
+      concurrency: SYNTH_CONCURRENCY,
+      lookahead: msg.paced ? SYNTH_LOOKAHEAD : Infinity,
+      signal: controller.signal,
+      task: (index, signal) => synthesizeChunk(chunks[index], settings, msg.lang, pageUrl, signal),
+      deliver: (index, result) => port.postMessage({ type: "chunk", index, result })
+    });
+    pipeline.advance(position);
 
-        try {
-          port.postMessage({ type: "chunk", index: i, result });
-        } catch (_) {
-          break;
-        }
-      }
-      if (!controller.signal.aborted) {
-        try { port.postMessage({ type: "done" }); } catch (_) {}
-      }
+    try {
+      await pipeline.run();
+      try { port.postMessage({ type: "done" }); } catch (_) {}
     } catch (err) {
       if (err?.name === "AbortError") return;
-      trackEvent("tts_errors");
+      // Stop the chunks still in flight; the client ends the session on error
+      controller.abort();
+      // Posting to the port failed: the provider is not to blame
+      trackEvent(err?.name === "DeliveryError" ? "delivery_errors" : "tts_errors");
       try {
         port.postMessage({ type: "error", error: err?.message || String(err) });
       } catch (_) {
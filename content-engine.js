@@ -4,17 +4,45 @@
 (() => {
   if (window.__groqTtsEngine) return;
 
+  const {
+    segmentWords,
+    wordJoiner,
+    joinWords,
+    findSentenceEnds,
+    chunkTokens,
+    buildTimingMap,
+    normalizeTimingMap,
+    findWordIndexByTime,
+    isSentenceEnd,
+    resolveLanguage
+  } = GroqSpeechCore;
+  const { normalizeWords, lexiconForSite, lexiconMatches } = GroqNormalizeCore;
+
   const STYLE_ID = "groq-tts-style";
   const TARGET_ATTR = GROQ_TARGET_ATTR;
   const TARGET_SELECTOR = `[${TARGET_ATTR}]`;
   const READING_ROOT_SELECTOR = "article, main, [role='main']";
+  const SELECTION_BLOCK_SELECTOR = "p, li, td, th, dd, dt, blockquote, figcaption, caption, h1, h2, h3, h4, h5, h6";
   const EXCLUDED_READING_SELECTOR = "nav, aside, [role='navigation'], [role='complementary'], [role='contentinfo'], [role='banner']";
+  const LANG_SAMPLE_CHARS = 600;
   const LOCAL_SETTINGS_DEFAULTS = {
     max_chars: GROQ_DEFAULTS.max_chars,
     auto_speak: GROQ_DEFAULTS.auto_speak,
+    selection_mode: GROQ_DEFAULTS.selection_mode,
     agent_mode: GROQ_DEFAULTS.agent_mode,
     agent_model: GROQ_DEFAULTS.agent_model,
-    speech_mode: GROQ_DEFAULTS.speech_mode
+    agent_strategy: GROQ_DEFAULTS.agent_strategy,
+    speech_mode: GROQ_DEFAULTS.speech_mode,
+    continue_reading: GROQ_DEFAULTS.continue_reading,
+    sentence_highlight: GROQ_DEFAULTS.sentence_highlight,
+    dim_read_text: GROQ_DEFAULTS.dim_read_text,
+    auto_scroll: GROQ_DEFAULTS.auto_scroll,
+    export_cues: GROQ_DEFAULTS.export_cues,
+    export_subtitles: GROQ_DEFAULTS.export_subtitles,
+    local_fallback: GROQ_DEFAULTS.local_fallback,
+    text_normalization: GROQ_DEFAULTS.text_normalization,
+    normalization_rules: GROQ_DEFAULTS.normalization_rules,
+    pronunciations: GROQ_DEFAULTS.pronunciations
   };
 
   let session = null;
@@ -23,7 +51,16 @@
   let cachedSettings = null;
   let settingsPromise = null;
   let agentRunToken = 0;
+  let prefetched = null;
+  let exportTargets = [];
+  let exportRunning = false;
+  let playChunkToken = 0;
+  let sequenceRunToken = 0;
+  let detachedCaption = null;
+  let transcript = null;
+  let transcriptProgress = null;
   const speechEntries = new Set();
+  const elementLangs = new WeakMap();
 
   // ─── Picker state ──────────────────────────────────────────────────
   let pickerActive = false;
@@ -33,6 +70,10 @@
   // ─── Mini-player state ─────────────────────────────────────────────
   let miniPlayerEl = null;
 
+  // ─── Playback speed (stored per site) ──────────────────────────────
+  const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+  let playbackRate = 1;
+
   // ─── Aria-live region ──────────────────────────────────────────────
   let ariaLiveRegion = null;
 
@@ -41,10 +82,13 @@
   const SPEECH_ICON_LOADING = '<svg viewBox="0 0 16 16" width="12" height="12" class="groq-tts-speech-spin"><circle cx="8" cy="8" r="6" fill="none" stroke="currentColor" stroke-width="2" stroke-dasharray="25 12"/></svg>';
   const MINI_ICON_PREV = '<svg viewBox="0 0 16 16" width="14" height="14" fill="currentColor"><path d="M13 2v12L5 8z"/><rect x="2" y="2" width="2" height="12"/></svg>';
   const MINI_ICON_NEXT = '<svg viewBox="0 0 16 16" width="14" height="14" fill="currentColor"><path d="M3 2v12l8-6z"/><rect x="12" y="2" width="2" height="12"/></svg>';
+  const MINI_ICON_JUMP = '<svg viewBox="0 0 16 16" width="14" height="14" fill="none" stroke="currentColor" stroke-width="1.6"><circle cx="8" cy="8" r="4.5"/><path d="M8 0v4M8 12v4M0 8h4M12 8h4"/></svg>';
+  const MINI_ICON_EXPORT = '<svg viewBox="0 0 16 16" width="14" height="14" fill="currentColor"><path d="M7 1h2v7.2l2.6-2.6 1.4 1.4L8 12 3 7l1.4-1.4L7 8.2z"/><rect x="2" y="13" width="12" height="2"/></svg>';
   const MINI_ICON_STOP = '<svg viewBox="0 0 16 16" width="14" height="14" fill="currentColor"><rect x="3" y="3" width="10" height="10" rx="1"/></svg>';
 
   injectStyles();
   injectAriaLiveRegion();
+  loadPlaybackRate();
 
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area !== "local") return;
@@ -54,10 +98,17 @@
         cachedSettings[key] = entry?.newValue ?? LOCAL_SETTINGS_DEFAULTS[key];
       }
     }
+    if (changes?.playback_rates) {
+      setPlaybackRate(changes.playback_rates.newValue?.[location.hostname] ?? 1);
+    }
   });
 
   // ─── Event listeners ────────────────────────────────────────────────
 
+  // Captured on the document: scroll events don't bubble, and the text may sit in a scrolling container
+  document.addEventListener("scroll", handleDocumentScroll, { passive: true, capture: true });
+  document.addEventListener("scrollend", handleDocumentScrollEnd, { passive: true, capture: true });
+
   document.addEventListener("keydown", evt => {
     if (evt.key === "Escape") {
       if (pickerActive) { stopPicker(); return; }
@@ -83,6 +134,23 @@
       return;
     }
 
+    if (msg.type === GROQ_MESSAGES.COMMAND) {
+      runCommand(msg.command);
+      sendResponse({ ok: true });
+      return;
+    }
+
+    if (msg.type === GROQ_MESSAGES.CONTEXT_READ) {
+      runContextAction(msg);
+      sendResponse({ ok: true });
+      return;
+    }
+
+    if (msg.type === GROQ_MESSAGES.QUEUE_EXTRACT) {
+      extractQueueText().then(sendResponse);
+      return true;
+    }
+
     if (msg.type !== GROQ_MESSAGES.START && msg.type !== GROQ_MESSAGES.AGENT_START) return;
 
     if (msg.type === GROQ_MESSAGES.START) {
@@ -128,6 +196,197 @@
     return true;
   });
 
+  // ─── Keyboard commands (routed from background) ────────────────────
+
+  function runCommand(command) {
+    switch (command) {
+      case "start-agent-read":
+        (async () => {
+          const settings = await getLocalSettings();
+          if (settings.speech_mode) startAgentSpeechMode({ force: true });
+          else startAgentRead({ force: true });
+        })();
+        break;
+      case "start-picker":
+        startPicker();
+        break;
+      case "read-selection":
+        readSelection();
+        break;
+      case "toggle-playback":
+        togglePlayPause();
+        break;
+      case "next-sentence":
+        jumpSentence(1);
+        break;
+      case "previous-sentence":
+        jumpSentence(-1);
+        break;
+      case "stop-playback":
+        speechCleanupAll();
+        stopSession("cancelled");
+        break;
+    }
+  }
+
+  // ─── Context menu actions ───────────────────────────────────────────
+
+  function runContextAction(msg) {
+    const target = window.__groqTtsStub?.contextTarget || null;
+    (async () => {
+      const settings = await getLocalSettings();
+
+      if (msg.action === "read-selection") {
+        readSelection();
+        return;
+      }
+
+      if (msg.action === "read-from-here") {
+        const start = getSelectedParagraph()?.paragraph || resolveReadableContainer(target);
+        if (!start) {
+          showToast(i18n("toastNoText"), true, 2500);
+          return;
+        }
+        if (session) stopSession("restart");
+        await speakParagraph(start, settings.max_chars, { continuous: true });
+        return;
+      }
+
+      if (msg.action === "read-alt-text") {
+        let img = target?.closest?.("img") || null;
+        if (!img && msg.srcUrl) {
+          img = Array.from(document.images).find(el => el.currentSrc === msg.srcUrl || el.src === msg.srcUrl) || null;
+        }
+        const alt = (img?.alt || img?.getAttribute("aria-label") || img?.title || "").trim();
+        if (!alt) {
+          showToast(i18n("toastNoAltText"), true, 2500);
+          return;
+        }
+        await speakDetachedText(alt, img, settings);
+      }
+    })();
+  }
+
+  /**
+   * Read text that isn't in the page's text nodes (e.g. alt text) by showing it
+   * in a floating caption next to `anchor`, so highlighting still has a target.
+   */
+  async function speakDetachedText(text, anchor, settings) {
+    if (session) stopSession("restart");
+    removeDetachedCaption();
+
+    const caption = document.createElement("div");
+    caption.className = "groq-tts-caption";
+    caption.setAttribute("role", "note");
+    caption.textContent = text;
+    const rect = anchor?.getBoundingClientRect?.();
+    if (rect && rect.width && rect.height) {
+      caption.style.top = (rect.bottom + window.scrollY + 6) + "px";
+      caption.style.left = (Math.max(0, rect.left) + window.scrollX) + "px";
+      caption.style.maxWidth = Math.max(240, rect.width) + "px";
+    } else {
+      caption.classList.add("floating");
+    }
+    document.documentElement.appendChild(caption);
+    detachedCaption = caption;
+
+    await speakParagraph(caption, settings.max_chars, { continuous: false });
+    setTimeout(() => {
+      if (detachedCaption === caption && !session?.roam?.active) removeDetachedCaption();
+    }, 1500);
+  }
+
+  function removeDetachedCaption() {
+    if (!detachedCaption) return;
+    detachedCaption.remove();
+    detachedCaption = null;
+  }
+
+  // ─── Reading queue (played by background) ───────────────────────────
+
+  /**
+   * The page's reading plan as plain text for the queue, which chunks and
+   * plays it offscreen: `{ ok, parts: [{ lang, text }] }` in reading order.
+   */
+  async function extractQueueText() {
+    const settings = await getLocalSettings();
+    const units = await requestReadingUnits(++agentRunToken, settings);
+    if (!units) return { ok: false, error: i18n("toastNoContent") };
+    const parts = units.map(unit => {
+      if (!unit.element) return { lang: getElementLang(unit.anchor), text: unit.text };
+      const words = filterVisibleWords(mapWords(unit.element), unit.element);
+      return { lang: getElementLang(unit.element), text: joinWords(words) };
+    });
+    return { ok: true, parts: parts.filter(part => part.text.trim()) };
+  }
+
+  // ─── Side panel transcript ──────────────────────────────────────────
+  // The panel mirrors the element being read. Word changes come from
+  // setHighlightByIndex, so they follow the normalized timing map exactly.
+  // Nothing is sent unless a panel holds a port to this tab's stub.
+
+  function publishTranscript(payload) {
+    const ports = window.__groqTtsStub?.panelPorts;
+    if (!ports?.size) return;
+    for (const port of ports) {
+      try { port.postMessage(payload); } catch (_) { ports.delete(port); }
+    }
+  }
+
+  function setTranscript(state) {
+    transcript = {
+      session,
+      element: state.element,
+      words: state.words,
+      index: new Map(state.words.map((word, i) => [word, i]))
+    };
+    publishTranscript({
+      kind: "transcript",
+      title: document.title,
+      words: state.words.map(word => word.text),
+      joiners: state.words.map(word => word.joiner ?? " ")
+    });
+  }
+
+  function publishTranscriptWord(word) {
+    if (!session) return;
+    if (transcript?.session !== session || !transcript.index.has(word)) {
+      let owner = null;
+      for (const state of session.roam.elements.values()) {
+        if (state.words.includes(word)) { owner = state; break; }
+      }
+      if (!owner) return;
+      setTranscript(owner);
+    }
+    publishTranscript({ kind: "word", index: transcript.index.get(word) });
+  }
+
+  function publishTranscriptProgress(ready, total, done) {
+    transcriptProgress = { ready, total, done };
+    publishTranscript({ kind: "progress", ...transcriptProgress });
+  }
+
+  /** Re-send everything for a panel that opened mid-reading. */
+  function publishTranscriptState() {
+    if (!session || transcript?.session !== session) return;
+    setTranscript(transcript);
+    const word = session.highlight.contextWord;
+    if (transcript.index.has(word)) publishTranscript({ kind: "word", index: transcript.index.get(word) });
+    if (transcriptProgress) publishTranscript({ kind: "progress", ...transcriptProgress });
+    if (session.done) publishTranscript({ kind: "end" });
+  }
+
+  function seekTranscript(index) {
+    if (!session || transcript?.session !== session || !Number.isInteger(index)) return;
+    const maxChars = cachedSettings?.max_chars ?? LOCAL_SETTINGS_DEFAULTS.max_chars;
+    const element = transcript.element;
+    const state = ensureElementState(element, maxChars);
+    if (!state || index < 0 || index >= state.words.length) return;
+    enterRoamMode();
+    abortRoamPlayback();
+    roamTo(element, state, index);
+  }
+
   // ─── Element Picker (replaces CDP debugger) ────────────────────────
 
   function startPicker() {
@@ -221,20 +480,42 @@
     const btnPlayPause = makeBtn(SPEECH_ICON_PAUSE, i18n("miniPlayerPause"), () => togglePlayPause());
     btnPlayPause.id = "groq-tts-mp-playpause";
     const btnNext = makeBtn(MINI_ICON_NEXT, i18n("miniPlayerNext"), () => handleRoamNavigation(1));
+    const btnSpeed = makeBtn("", "", () => stepPlaybackRate(1, true));
+    btnSpeed.id = "groq-tts-mp-speed";
+    btnSpeed.classList.add("groq-tts-mp-speed");
+    const btnJump = makeBtn(MINI_ICON_JUMP, i18n("miniPlayerJump"), () => resumeFollow());
+    btnJump.id = "groq-tts-mp-jump";
+    btnJump.hidden = true;
+    const btnExport = makeBtn(MINI_ICON_EXPORT, i18n("miniPlayerExport"), () => exportReading(exportTargets));
     const btnStop = makeBtn(MINI_ICON_STOP, i18n("miniPlayerStop"), () => {
       speechCleanupAll();
       stopSession("cancelled");
     });
 
-    mp.append(btnPrev, btnPlayPause, btnNext, btnStop);
+    mp.append(btnPrev, btnPlayPause, btnNext, btnSpeed, btnJump, btnExport, btnStop);
     document.documentElement.appendChild(mp);
     miniPlayerEl = mp;
+    updateSpeedButton();
     requestAnimationFrame(() => mp.classList.add("show"));
   }
 
+  function updateSpeedButton() {
+    const btn = miniPlayerEl?.querySelector("#groq-tts-mp-speed");
+    if (!btn) return;
+    const label = `${playbackRate}\u00d7`;
+    btn.textContent = label;
+    btn.setAttribute("aria-label", i18n("miniPlayerSpeed", [label]));
+  }
+
   function hideMiniPlayer() {
     if (!miniPlayerEl) return;
     miniPlayerEl.classList.remove("show");
+    setJumpButtonVisible(false);
+  }
+
+  function setJumpButtonVisible(visible) {
+    const btn = miniPlayerEl?.querySelector("#groq-tts-mp-jump");
+    if (btn) btn.hidden = !visible;
   }
 
   function updateMiniPlayerState(playing) {
@@ -255,6 +536,47 @@
     return btn;
   }
 
+  // ─── Playback speed ─────────────────────────────────────────────────
+
+  function loadPlaybackRate() {
+    chrome.storage.local.get({ playback_rates: GROQ_DEFAULTS.playback_rates }, values => {
+      setPlaybackRate(values.playback_rates?.[location.hostname] ?? 1);
+    });
+  }
+
+  function setPlaybackRate(rate) {
+    const value = Number(rate);
+    const min = PLAYBACK_RATES[0];
+    const max = PLAYBACK_RATES[PLAYBACK_RATES.length - 1];
+    playbackRate = Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : 1;
+    if (session?.audio.el) applyPlaybackRate(session.audio.el);
+    updateSpeedButton();
+  }
+
+  /** Move one step through PLAYBACK_RATES and remember the choice for this site. */
+  function stepPlaybackRate(direction, wrap) {
+    let idx = PLAYBACK_RATES.indexOf(playbackRate);
+    if (idx === -1) idx = PLAYBACK_RATES.indexOf(1);
+    idx += direction;
+    if (wrap) idx = (idx + PLAYBACK_RATES.length) % PLAYBACK_RATES.length;
+    idx = Math.max(0, Math.min(PLAYBACK_RATES.length - 1, idx));
+    setPlaybackRate(PLAYBACK_RATES[idx]);
+    announceToScreenReader(i18n("miniPlayerSpeed", [`${playbackRate}\u00d7`]));
+
+    const host = location.hostname;
+    chrome.storage.local.get({ playback_rates: GROQ_DEFAULTS.playback_rates }, values => {
+      const rates = { ...(values.playback_rates || {}), [host]: playbackRate };
+      chrome.storage.local.set({ playback_rates: rates });
+    });
+  }
+
+  // Media time (currentTime) is unaffected by playbackRate, so the timing map stays valid at any speed
+  function applyPlaybackRate(audio) {
+    audio.defaultPlaybackRate = playbackRate;
+    audio.playbackRate = playbackRate;
+    audio.preservesPitch = true;
+  }
+
   // ─── Session factory ────────────────────────────────────────────────
 
   function createSession(paragraph, words) {
@@ -279,10 +601,23 @@
         _cleanup: null
       },
 
+      local: {
+        enabled: false,
+        utterance: null,
+        finish: null
+      },
+
+      follow: {
+        paused: false,
+        programmatic: false,
+        timer: null
+      },
+
       highlight: {
         wordEntries: [],
         activeWords: null,
         currentWordIndex: null,
+        contextWord: null,
         running: false
       },
 
@@ -324,31 +659,98 @@
       lastSelectionText = selectionText;
       lastSelectionAt = now;
 
-      if (settings.speech_mode) {
-        speechModeActivate(selectionInfo.paragraph);
+      await speakSelection(selectionInfo, settings);
+    })();
+  }
+
+  /** Explicit "read selection" (shortcut) — ignores the auto-speak setting. */
+  function readSelection() {
+    (async () => {
+      const settings = await getLocalSettings();
+      const selectionInfo = getSelectedParagraph();
+      if (!selectionInfo) {
+        showToast(i18n("toastNoSelection"), true, 2200);
         return;
       }
+      await speakSelection(selectionInfo, settings);
+    })();
+  }
+
+  async function speakSelection(selectionInfo, settings) {
+    const blocks = selectionInfo.blocks;
+    if (settings.speech_mode) {
+      for (const block of blocks) speechModeActivate(block);
+      return;
+    }
 
+    if (settings.selection_mode === "exact") {
+      const { root, words } = mapSelectionWords(selectionInfo.range);
+      if (!words.length) return;
+      ++sequenceRunToken;
       if (session) stopSession("restart");
-      await speakParagraph(selectionInfo.paragraph, settings.max_chars);
-    })();
+      await speakParagraph(root, settings.max_chars, { continuous: false, words });
+      return;
+    }
+
+    const token = ++sequenceRunToken;
+    for (const block of blocks) {
+      if (token !== sequenceRunToken) break;
+      if (session?.roam?.active) break;
+      if (session) stopSession("restart");
+      await speakParagraph(block, settings.max_chars, {
+        continuous: blocks.length > 1 ? false : undefined,
+        group: blocks
+      });
+      if (token !== sequenceRunToken) break;
+      if (!session || session.roam?.active) break;
+    }
   }
 
+  /**
+   * Readable blocks touched by the current selection, in document order.
+   * `paragraph` is the first one; a selection inside one block yields one entry.
+   */
   function getSelectedParagraph() {
     const sel = window.getSelection();
     if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return null;
 
     const range = sel.getRangeAt(0);
-    let node = range.commonAncestorContainer;
-    if (node.nodeType === Node.TEXT_NODE) node = node.parentElement;
-    if (!node || !node.closest) return null;
+    let root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) root = root.parentElement;
+    if (!root || !root.closest) return null;
+    if (root.closest("input, textarea, [contenteditable='true']")) return null;
 
-    const paragraph = node.closest("p");
-    if (!paragraph) return null;
-    if (!paragraph.contains(range.startContainer) || !paragraph.contains(range.endContainer)) return null;
-    if (paragraph.closest("input, textarea, [contenteditable='true']")) return null;
+    const single = root.closest(SELECTION_BLOCK_SELECTOR);
+    if (single) return { paragraph: single, blocks: [single], range: range.cloneRange() };
 
-    return { paragraph };
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, { acceptNode: readableTextFilter });
+    const found = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!range.intersectsNode(node)) continue;
+      const block = node.parentElement.closest(SELECTION_BLOCK_SELECTOR) || getReadableContainer(node);
+      if (block && !found.includes(block)) found.push(block);
+    }
+    // Nested blocks (e.g. a <p> inside an <li>) are read as part of their outer block
+    const blocks = found.filter(block => !found.some(other => other !== block && other.contains(block)));
+    if (!blocks.length) return null;
+    return { paragraph: blocks[0], blocks, range: range.cloneRange() };
+  }
+
+  /** Visible words overlapping `range`, possibly spanning several blocks. */
+  function mapSelectionWords(range) {
+    let root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) root = root.parentElement;
+    const inRange = mapWords(root).filter(word => isWordInRange(word, range));
+    return { root, words: filterVisibleWords(inRange, root) };
+  }
+
+  // A partially selected word counts as selected; words merely touching an edge don't
+  function isWordInRange(word, range) {
+    if (!range.intersectsNode(word.node)) return false;
+    if (word.node === range.startContainer && word.end <= range.startOffset) return false;
+    if (word.node === range.endContainer && word.start >= range.endOffset) return false;
+    return true;
   }
 
   // ─── Core pipeline ──────────────────────────────────────────────────
@@ -360,36 +762,126 @@
     session.port = null;
   }
 
-  function startChunkStream(chunkTexts, handlers) {
+  function startChunkStream(chunkTexts, handlers, lang) {
     if (!session || !Array.isArray(chunkTexts) || !chunkTexts.length) return null;
-    const port = chrome.runtime.connect({ name: GROQ_MESSAGES.PORT });
+    const adopted = adoptPrefetchedStream(chunkTexts, lang);
+    const port = adopted?.port || chrome.runtime.connect({ name: GROQ_MESSAGES.PORT });
     session.port = port;
 
-    port.onMessage.addListener(msg => {
+    let ready = 0;
+    publishTranscriptProgress(0, chunkTexts.length, false);
+
+    const onMessage = msg => {
       if (!session || session.cancelled) return;
       if (msg.type === "chunk") {
+        publishTranscriptProgress(++ready, chunkTexts.length, false);
         handlers?.onChunk?.(msg);
       } else if (msg.type === "done") {
+        publishTranscriptProgress(ready, chunkTexts.length, true);
         handlers?.onDone?.(msg);
       } else if (msg.type === "error") {
         handlers?.onError?.(msg);
       }
-    });
+    };
 
-    port.onDisconnect.addListener(() => {
+    const onDisconnect = () => {
       if (session?.ignorePortDisconnect) {
         session.ignorePortDisconnect = false;
         return;
       }
       handlers?.onDisconnect?.();
-    });
+    };
+
+    if (adopted) {
+      adopted.attach(onMessage, onDisconnect);
+      return port;
+    }
 
-    port.postMessage({ type: "start", chunks: chunkTexts });
+    port.onMessage.addListener(onMessage);
+    port.onDisconnect.addListener(onDisconnect);
+    port.postMessage({ type: "start", chunks: chunkTexts, lang, paced: true });
     return port;
   }
 
+  /** Tell the background which chunk is playing so it synthesizes a few ahead of it. */
+  function reportChunkPosition(index) {
+    try { session?.port?.postMessage({ type: "position", index }); } catch (_) {}
+  }
+
+  // ─── Continuation prefetch ──────────────────────────────────────────
+
+  /**
+   * Open a stream for the next element ahead of time. Messages are buffered
+   * until speakParagraph adopts the port via startChunkStream.
+   */
+  function prefetchChunkStream(element, chunkTexts) {
+    cancelPrefetch();
+    if (!chunkTexts.length) return;
+    const port = chrome.runtime.connect({ name: GROQ_MESSAGES.PORT });
+    const lang = getElementLang(element);
+    const entry = {
+      element,
+      key: prefetchKey(chunkTexts, lang),
+      port,
+      buffered: [],
+      disconnected: false,
+      onMessage: null,
+      onDisconnect: null
+    };
+    port.onMessage.addListener(msg => {
+      if (entry.onMessage) entry.onMessage(msg);
+      else entry.buffered.push(msg);
+    });
+    port.onDisconnect.addListener(() => {
+      entry.disconnected = true;
+      entry.onDisconnect?.();
+    });
+    port.postMessage({ type: "start", chunks: chunkTexts, lang, paced: true });
+    prefetched = entry;
+  }
+
+  function prefetchKey(chunkTexts, lang) {
+    return `${lang || ""}\u0001${chunkTexts.join("\u0000")}`;
+  }
+
+  function adoptPrefetchedStream(chunkTexts, lang) {
+    const entry = prefetched;
+    prefetched = null;
+    if (!entry) return null;
+    if (entry.disconnected || entry.key !== prefetchKey(chunkTexts, lang)) {
+      try { entry.port.disconnect(); } catch (_) {}
+      return null;
+    }
+    return {
+      port: entry.port,
+      attach(onMessage, onDisconnect) {
+        entry.onMessage = onMessage;
+        entry.onDisconnect = onDisconnect;
+        for (const msg of entry.buffered.splice(0)) onMessage(msg);
+      }
+    };
+  }
+
+  function cancelPrefetch() {
+    if (!prefetched) return;
+    try { prefetched.port.disconnect(); } catch (_) {}
+    prefetched = null;
+  }
+
+  /** Next readable container after `current`, staying inside its reading root. */
+  function findContinuationElement(current) {
+    if (!current) return null;
+    const root = getReadingRoot(current);
+    let next = findReadableElement(current, true);
+    // Skip containers already covered by (or covering) the element just read
+    while (next && (current.contains(next) || next.contains(current))) {
+      next = findReadableElement(next, true);
+    }
+    return next && root.contains(next) ? next : null;
+  }
+
   function startChunkPlayback(result, wordSlice, startIndex) {
-    if (!session || !result || !wordSlice?.length) return Promise.resolve();
+    if (!session || !result || !wordSlice?.length) return Promise.resolve("ended");
     const safeIndex = Math.max(0, Math.min(wordSlice.length - 1, startIndex ?? 0));
     session.chunks.pendingHighlightIndex = safeIndex;
     session.chunks.pendingStartIndex = safeIndex;
@@ -398,14 +890,51 @@
     return playChunk(result, wordSlice);
   }
 
-  async function speakParagraph(paragraph, maxChars) {
-    const allWords = mapWords(paragraph);
-    const words = filterVisibleWords(allWords, paragraph);
-    const tokens = words.map(w => w.text).filter(Boolean);
+  function prepareChunks(paragraph, maxChars, presetWords) {
+    const words = presetWords || filterVisibleWords(mapWords(paragraph), paragraph);
+    const chunks = words.length ? chunkWordList(words, maxChars || 200, getElementLang(paragraph)) : [];
+    return { words, chunks };
+  }
+
+  /**
+   * Read `paragraph`, then — with continuous reading — each following element
+   * that has words to read, one after another until the reading root ends.
+   */
+  async function speakParagraph(paragraph, maxChars, options = {}) {
+    const continuous = options.continuous ?? Boolean(cachedSettings?.continue_reading);
+    const group = options.group ? [...options.group] : [paragraph];
+    let element = paragraph;
+    let prepared = prepareChunks(paragraph, maxChars, options.words);
+    if (!prepared.chunks.length) return;
+    exportTargets = options.words ? [{ element: paragraph, words: options.words }] : group;
+
+    while (element) {
+      const outcome = await speakElement(element, prepared, maxChars, continuous);
+      if (outcome === "roam") return;
+      const next = outcome === "played" && continuous ? nextContinuation(element, maxChars) : null;
+      if (!next) break;
+      stopSession("continue");
+      group.push(next.element);
+      ({ element, prepared } = next);
+    }
+    stopSession("done");
+  }
 
-    if (!tokens.length) return;
+  /** The next element to continue reading into after `element`, skipping ones with nothing to read. */
+  function nextContinuation(element, maxChars) {
+    for (let next = findContinuationElement(element); next; next = findContinuationElement(next)) {
+      const prepared = prepareChunks(next, maxChars);
+      if (prepared.chunks.length) return { element: next, prepared };
+    }
+    return null;
+  }
 
-    const chunks = chunkTokens(tokens, maxChars || 200);
+  /**
+   * Play the prepared chunks of one element. Resolves to "played" once every
+   * chunk has played in this session, "roam" when roaming took over, or
+   * "stopped".
+   */
+  async function speakElement(paragraph, { words, chunks }, maxChars, continuous) {
     const chunkTexts = chunks.map(c => c.text);
     const generateIndicator = showGenerateIndicator(paragraph);
 
@@ -421,7 +950,6 @@
     session = createSession(paragraph, words);
     session.generateIndicator = generateIndicator;
 
-    showToast(i18n("toastGenerating"), false, 1200);
     showMiniPlayer();
 
     // Promise resolves when all chunks have been played
@@ -430,39 +958,56 @@
     let allDelivered = false;
     let playing = false;
 
-    startChunkStream(chunkTexts, {
-      onChunk: msg => {
-        session.chunks.chunkResults[msg.index] = msg.result;
-        const text = chunkTexts[msg.index];
-        if (text) cacheChunkResult(text, msg.result);
-        if (msg.index === 0) clearGenerateIndicator();
-        tryPlayNextChunk();
-      },
-      onError: msg => {
-        stopSession("error");
-        showToast(msg?.error || "Groq request failed", true, 3500);
-      },
-      onDone: () => { allDelivered = true; },
-      onDisconnect: () => {
-        if (!allDelivered && session && !session.cancelled) {
+    if (!navigator.onLine && useLocalFallback()) {
+      // The offline voice won't adopt a stream prefetched for this element
+      cancelPrefetch();
+      tryPlayNextChunk();
+    } else {
+      showToast(i18n("toastGenerating"), false, 1200);
+      startChunkStream(chunkTexts, {
+        onChunk: msg => {
+          session.chunks.chunkResults[msg.index] = msg.result;
+          const text = chunkTexts[msg.index];
+          if (text) cacheChunkResult(text, msg.result);
+          if (msg.index === 0) clearGenerateIndicator();
+          tryPlayNextChunk();
+        },
+        onError: msg => {
+          if (useLocalFallback()) { tryPlayNextChunk(); return; }
           stopSession("error");
-          showToast(i18n("toastConnectionLost"), true, 3000);
+          showToast(msg?.error || "Groq request failed", true, 3500);
+        },
+        onDone: () => {
+          allDelivered = true;
+          if (!continuous || !session || session.cancelled) return;
+          const next = nextContinuation(paragraph, maxChars);
+          if (next) prefetchChunkStream(next.element, next.prepared.chunks.map(c => c.text));
+        },
+        onDisconnect: () => {
+          if (!allDelivered && session && !session.cancelled) {
+            if (useLocalFallback()) { tryPlayNextChunk(); return; }
+            stopSession("error");
+            showToast(i18n("toastConnectionLost"), true, 3000);
+          }
         }
-      }
-    });
+      }, getElementLang(paragraph));
+    }
 
     async function tryPlayNextChunk() {
       if (playing || !session || session.cancelled || session.roam?.active) return;
 
       const idx = session.chunks.chunkIndex;
       const result = session.chunks.chunkResults[idx];
-      if (!result) return;
+      if (!result && !session.local.enabled) return;
 
       playing = true;
       const wordSlice = chunkWords[idx];
+      reportChunkPosition(idx);
 
+      let outcome = "ended";
       try {
-        await startChunkPlayback(result, wordSlice, 0);
+        if (result) outcome = await startChunkPlayback(result, wordSlice, 0);
+        else await startLocalChunkPlayback(wordSlice, 0);
       } catch (_) { /* cleanup handled inside playChunk */ }
 
       playing = false;
@@ -470,6 +1015,8 @@
         session?._resolve?.();
         return;
       }
+      // A seek took over this chunk; whoever started it owns the position now
+      if (outcome === "superseded") return;
 
       session.chunks.chunkIndex += 1;
 
@@ -481,15 +1028,23 @@
       tryPlayNextChunk();
     }
 
+    const current = session;
     await allPlayed;
-    if (session?.roam?.active) return;
-    stopSession("done");
+    if (session?.roam?.active) return "roam";
+    return session === current && !session.cancelled ? "played" : "stopped";
   }
 
   // ─── Word mapping (no DOM modification) ────────────────────────────
 
+  /**
+   * Words of `paragraph` as `{ node, start, end, text, joiner, sentenceEnd }`.
+   * Segmentation follows the element's language; `joiner` is what separates a
+   * word from the previous one ("" inside unspaced scripts) and `sentenceEnd`
+   * comes from sentence segmentation of the whole paragraph.
+   */
   function mapWords(paragraph) {
     const words = [];
+    const lang = getElementLang(paragraph);
     const walker = document.createTreeWalker(
       paragraph,
       NodeFilter.SHOW_TEXT,
@@ -497,26 +1052,93 @@
     );
 
     let node;
+    let spaceBefore = false;
     while ((node = walker.nextNode())) {
       const text = node.nodeValue || "";
-      const regex = /[^\s]+/g;
-      let match;
-      while ((match = regex.exec(text))) {
-        const raw = match[0];
-        const normalized = normalizeWord(raw);
-        if (!normalized) continue;
+      let last = 0;
+      for (const segment of segmentWords(text, lang)) {
+        const prev = words[words.length - 1];
+        const gap = spaceBefore || /\s/.test(text.slice(last, segment.start));
         words.push({
           node,
-          start: match.index,
-          end: match.index + raw.length,
-          text: raw
+          start: segment.start,
+          end: segment.end,
+          text: segment.text,
+          joiner: prev ? wordJoiner(prev.text, segment.text, gap) : ""
         });
+        last = segment.end;
+        spaceBefore = false;
       }
+      if (/\s/.test(text.slice(last))) spaceBefore = true;
     }
 
+    const ends = findSentenceEnds(words.map(w => w.text), lang, words.map(w => w.joiner));
+    words.forEach((word, i) => { word.sentenceEnd = ends[i]; });
     return words;
   }
 
+  /**
+   * Language of a block: the nearest declared `lang`, unless the text itself is
+   * plainly in another script (a Japanese quote on an English page).
+   */
+  function getElementLang(element) {
+    const el = element?.nodeType === Node.ELEMENT_NODE ? element : element?.parentElement;
+    if (!el) return document.documentElement.lang || navigator.language;
+    if (elementLangs.has(el)) return elementLangs.get(el);
+    const declared = el.closest?.("[lang]")?.lang || document.documentElement.lang;
+    const lang = resolveLanguage(declared, (el.textContent || "").slice(0, LANG_SAMPLE_CHARS)) || navigator.language;
+    elementLangs.set(el, lang);
+    return lang;
+  }
+
+  /**
+   * Spoken forms of page words under the user's normalization settings.
+   * Words matching a lexicon term are left as written; background swaps in
+   * their pronunciation.
+   */
+  function speakableWords(texts, lang) {
+    const settings = cachedSettings || LOCAL_SETTINGS_DEFAULTS;
+    return normalizeWords(texts, {
+      lang,
+      builtins: settings.text_normalization,
+      rules: settings.normalization_rules,
+      keep: lexiconMatches(texts, lexiconForSite(settings.pronunciations, location.hostname))
+    });
+  }
+
+  /** Plain `text` as it will be said, segmented the way page words are. */
+  function speakableText(text, lang) {
+    const words = segmentWords(text, lang);
+    const spoken = speakableWords(words.map(w => w.text), lang);
+    return joinWords(words.flatMap((word, i) => {
+      if (!spoken[i]) return [];
+      const prev = words[i - 1];
+      const joiner = prev ? wordJoiner(prev.text, word.text, /\s/.test(text.slice(prev.end, word.start))) : "";
+      return [{ text: spoken[i], joiner }];
+    }));
+  }
+
+  /**
+   * Chunk a word list by what will be said, with the page's joiners and
+   * sentence ends, so the chunk map stays aligned. Each word keeps its
+   * `spoken` form for matching timings back to it.
+   */
+  function chunkWordList(words, maxChars, lang) {
+    const spoken = speakableWords(words.map(w => w.text), lang);
+    words.forEach((w, i) => { w.spoken = spoken[i]; });
+    const chunks = chunkTokens(spoken, maxChars, {
+      joiners: words.map((w, i) => (spoken[i] ? w.joiner : "")),
+      sentenceEnds: words.map((w, i) => endsSentence(w, words[i + 1]))
+    });
+    // A chunk of nothing but emoji would be an empty TTS request; read it as written
+    let offset = 0;
+    for (const chunk of chunks) {
+      if (!chunk.text.trim()) chunk.text = joinWords(words.slice(offset, offset + chunk.count));
+      offset += chunk.count;
+    }
+    return chunks;
+  }
+
   function buildElementState(element, words) {
     return {
       element,
@@ -540,51 +1162,6 @@
     return NodeFilter.FILTER_ACCEPT;
   }
 
-  function chunkTokens(tokens, maxChars) {
-    const chunks = [];
-    let current = [];
-    let length = 0;
-    const tolerance = Math.round(maxChars * 0.5);
-
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-      const addLength = (current.length ? 1 : 0) + token.length;
-
-      if (length + addLength > maxChars && current.length) {
-        // Look ahead for a nearby sentence boundary to avoid mid-sentence splits
-        let found = -1;
-        let totalLen = length;
-        for (let j = i; j < tokens.length; j++) {
-          totalLen += 1 + tokens[j].length;
-          if (totalLen > maxChars + tolerance) break;
-          if (isSentenceEnd(tokens[j])) { found = j; break; }
-        }
-
-        if (found >= 0) {
-          for (let j = i; j <= found; j++) current.push(tokens[j]);
-          chunks.push({ text: current.join(" "), count: current.length });
-          current = [];
-          length = 0;
-          i = found;
-          continue;
-        }
-
-        chunks.push({ text: current.join(" "), count: current.length });
-        current = [token];
-        length = token.length;
-      } else {
-        current.push(token);
-        length += addLength;
-      }
-    }
-
-    if (current.length) {
-      chunks.push({ text: current.join(" "), count: current.length });
-    }
-
-    return chunks;
-  }
-
   function buildChunkMap(words, chunks) {
     const chunkTexts = chunks.map(c => c.text);
     const chunkWords = [];
@@ -619,8 +1196,7 @@
 
     const max = maxChars || GROQ_DEFAULTS.max_chars;
     if (state.maxChars !== max || !state.chunkTexts.length) {
-      const tokens = state.words.map(w => w.text).filter(Boolean);
-      const chunks = chunkTokens(tokens, max);
+      const chunks = chunkWordList(state.words, max, getElementLang(element));
       const map = buildChunkMap(state.words, chunks);
       state.chunkTexts = map.chunkTexts;
       state.chunkWords = map.chunkWords;
@@ -683,6 +1259,7 @@
       range.setStart(word.node, word.start);
       range.setEnd(word.node, word.end);
       const highlight = new Highlight(range);
+      highlight.priority = 2;
       CSS.highlights.set("groq-tts-current", highlight);
     } catch (_) {
       // Node may have been removed from DOM
@@ -697,12 +1274,175 @@
           if (elementIdx !== -1) session.roam.currentWordIndex = elementIdx;
         }
       }
+      // The highlight loop calls this every frame; only react when the word changes
+      if (session.highlight.contextWord !== word) {
+        session.highlight.contextWord = word;
+        updateContextHighlights(word, wordIndex, words);
+        followHighlightedWord(word);
+        publishTranscriptWord(word);
+      }
+    }
+  }
+
+  /** Sentence and already-read layers. */
+  function updateContextHighlights(word, wordIndex, words) {
+    const settings = cachedSettings || LOCAL_SETTINGS_DEFAULTS;
+    const scope = getHighlightScope(word, wordIndex, words);
+
+    try {
+      if (settings.sentence_highlight) {
+        const [from, to] = sentenceBounds(scope.words, scope.index);
+        const sentence = new Highlight(wordSpanRange(scope.words[from], scope.words[to]));
+        sentence.priority = 1;
+        CSS.highlights.set("groq-tts-sentence", sentence);
+      } else {
+        CSS.highlights.delete("groq-tts-sentence");
+      }
+
+      if (settings.dim_read_text && scope.index > 0) {
+        const read = new Highlight(wordSpanRange(scope.words[0], scope.words[scope.index - 1]));
+        CSS.highlights.set("groq-tts-read", read);
+      } else {
+        CSS.highlights.delete("groq-tts-read");
+      }
+    } catch (_) {
+      // Nodes may have been removed from DOM
+    }
+  }
+
+  // Prefer the whole element's words so sentences aren't cut at chunk boundaries
+  function getHighlightScope(word, wordIndex, words) {
+    const element = session.roam.currentElement || session.paragraph;
+    const state = element ? session.roam.elements.get(element) : null;
+    if (state?.words.length && state.words !== words) {
+      const idx = state.words.indexOf(word);
+      if (idx !== -1) return { words: state.words, index: idx };
+    }
+    return { words, index: wordIndex };
+  }
+
+  function wordSpanRange(first, last) {
+    const range = new Range();
+    range.setStart(first.node, first.start);
+    range.setEnd(last.node, last.end);
+    return range;
+  }
+
+  // ─── Auto-scroll ────────────────────────────────────────────────────
+
+  const FOLLOW_BAND_TOP = 0.15;
+  const FOLLOW_BAND_BOTTOM = 0.85;
+  const FOLLOW_TARGET = 0.35;
+  const FOLLOW_SETTLE_MS = 1200;
+
+  function getWordRect(word) {
+    try {
+      const range = document.createRange();
+      range.setStart(word.node, word.start);
+      range.setEnd(word.node, word.end);
+      const rect = range.getBoundingClientRect();
+      return rect.width || rect.height ? rect : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Nearest ancestor of `node` that scrolls vertically (app shells often read
+   * inside one), or null when the page itself scrolls.
+   */
+  function scrollContainerOf(node) {
+    for (let el = node?.parentElement; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+      if (el.scrollHeight <= el.clientHeight) continue;
+      if (/^(auto|scroll|overlay)$/.test(getComputedStyle(el).overflowY)) return el;
+    }
+    return null;
+  }
+
+  /** Visible band of `container` (the window when null) as viewport `{ top, height }`. */
+  function followViewport(container) {
+    if (!container) return { top: 0, height: window.innerHeight };
+    const box = container.getBoundingClientRect();
+    const top = Math.max(0, box.top);
+    return { top, height: Math.max(0, Math.min(window.innerHeight, box.bottom) - top) };
+  }
+
+  function followHighlightedWord(word) {
+    const settings = cachedSettings || LOCAL_SETTINGS_DEFAULTS;
+    if (!session || !settings.auto_scroll) return;
+    const rect = getWordRect(word);
+    if (!rect) return;
+
+    const container = scrollContainerOf(word.node);
+    const view = followViewport(container);
+    const inView = rect.top >= view.top + view.height * FOLLOW_BAND_TOP
+      && rect.bottom <= view.top + view.height * FOLLOW_BAND_BOTTOM;
+    const follow = session.follow;
+    if (follow.paused) {
+      // The user scrolled the reading position back into view: pick up following again
+      if (inView) {
+        follow.paused = false;
+        setJumpButtonVisible(false);
+      }
+      return;
+    }
+    if (inView) return;
+    scrollToRect(rect, container);
+  }
+
+  function scrollToRect(rect, container) {
+    const follow = session.follow;
+    follow.programmatic = true;
+    clearTimeout(follow.timer);
+    follow.timer = setTimeout(handleDocumentScrollEnd, FOLLOW_SETTLE_MS);
+    const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    const view = followViewport(container);
+    (container || window).scrollBy({
+      top: rect.top - (view.top + view.height * FOLLOW_TARGET),
+      behavior: reduceMotion ? "auto" : "smooth"
+    });
+  }
+
+  /** Whether a scroll event moved the page or a container of the text being read. */
+  function scrollsReading(event) {
+    const target = event?.target;
+    return !(target instanceof Element) || Boolean(session?.paragraph && target.contains(session.paragraph));
+  }
+
+  function handleDocumentScroll(event) {
+    if (!session || session.cancelled || session.follow.programmatic) return;
+    if (!(cachedSettings || LOCAL_SETTINGS_DEFAULTS).auto_scroll) return;
+    if (!scrollsReading(event)) return;
+    if (!session.follow.paused) {
+      session.follow.paused = true;
+      setJumpButtonVisible(true);
     }
   }
 
+  function handleDocumentScrollEnd(event) {
+    if (!session || !scrollsReading(event)) return;
+    clearTimeout(session.follow.timer);
+    session.follow.timer = null;
+    session.follow.programmatic = false;
+  }
+
+  /** Mini-player "jump back": scroll to the current word and follow it again. */
+  function resumeFollow() {
+    if (!session) return;
+    session.follow.paused = false;
+    setJumpButtonVisible(false);
+    const words = session.highlight.activeWords;
+    const idx = session.highlight.currentWordIndex;
+    const word = words && idx != null ? words[idx] : null;
+    const rect = word ? getWordRect(word) : null;
+    if (rect) scrollToRect(rect, scrollContainerOf(word.node));
+  }
+
   function clearHighlight() {
     try {
       CSS.highlights.delete("groq-tts-current");
+      CSS.highlights.delete("groq-tts-sentence");
+      CSS.highlights.delete("groq-tts-read");
     } catch (_) {}
   }
 
@@ -717,20 +1457,44 @@
     return bytes.buffer;
   }
 
-  function resultToArrayBuffer(result) {
+  /**
+   * Audio Blob for a chunk result, decoded once and kept on the result so
+   * replays, seeks and export reuse it. The base64 from the port is decoded
+   * by the browser through a data: URL, with a manual decode as fallback.
+   */
+  async function resultToBlob(result) {
     if (!result) return null;
-    if (result.buffer instanceof ArrayBuffer) return result.buffer;
-    if (result.buffer && result.buffer.buffer instanceof ArrayBuffer) {
-      return result.buffer.buffer;
+    if (result.blob) return result.blob;
+    const type = result.mime || "audio/wav";
+    if (result.buffer) {
+      result.blob = new Blob([result.buffer], { type });
+    } else if (result.audio) {
+      try {
+        const res = await fetch(`data:${type};base64,${result.audio}`);
+        result.blob = await res.blob();
+      } catch (_) {
+        result.blob = new Blob([base64ToArrayBuffer(result.audio)], { type });
+      }
+    } else {
+      return null;
     }
-    if (result.audio) return base64ToArrayBuffer(result.audio);
-    return null;
+    // The Blob replaces the string, so each result holds the audio only once
+    delete result.audio;
+    return result.blob;
   }
 
   function disposeAudio() {
     if (!session) return;
     const a = session.audio;
     if (a._cleanup) { a._cleanup(); a._cleanup = null; }
+    const local = session.local;
+    if (local.utterance) {
+      const finish = local.finish;
+      local.utterance = null;
+      local.finish = null;
+      try { speechSynthesis.cancel(); } catch (_) {}
+      finish?.();
+    }
     if (a.el) {
       a.el.pause();
       a.el.onended = null;
@@ -746,12 +1510,19 @@
     updateMiniPlayerState(false);
   }
 
+  /**
+   * Play one synthesized chunk and resolve once it stops: "ended" when it ran
+   * out or failed, "superseded" when a newer playChunk call (a seek) took
+   * over the audio element, so the caller must not move on to the next chunk.
+   */
   async function playChunk(result, words) {
-    if (!result || !words.length || !session || session.cancelled) return;
+    if (!result || !words.length || !session || session.cancelled) return "ended";
 
-    const audioBuffer = resultToArrayBuffer(result);
-    if (!audioBuffer) return;
-    const blob = new Blob([audioBuffer], { type: result.mime || "audio/wav" });
+    // Decoding is async, so a newer playChunk call may overtake this one
+    const token = ++playChunkToken;
+    const blob = await resultToBlob(result);
+    if (token !== playChunkToken) return "superseded";
+    if (!blob || !session || session.cancelled) return "ended";
     const url = URL.createObjectURL(blob);
 
     // Reuse existing Audio element to preserve autoplay permission across chunks
@@ -767,6 +1538,7 @@
     if (session.audio.blobUrl) URL.revokeObjectURL(session.audio.blobUrl);
     audio.src = url;
     audio.preload = "auto";
+    applyPlaybackRate(audio);
     session.audio.blobUrl = url;
 
     let timingMap = buildTimingMap(words, result.words);
@@ -792,7 +1564,7 @@
         audio.onerror = null;
         audio.onloadedmetadata = null;
         updateMiniPlayerState(false);
-        resolve();
+        resolve(token === playChunkToken ? "ended" : "superseded");
       };
 
       session.audio._cleanup = cleanup;
@@ -882,190 +1654,82 @@
     });
   }
 
-  // ─── Timing & highlighting ──────────────────────────────────────────
-
-  function buildTimingMap(words, sttWords) {
-    if (!Array.isArray(sttWords) || !sttWords.length) return [];
-    const normalizedWords = words.map(w => normalizeWord(w.text));
-    const normalizedStt = sttWords.map(word => ({
-      text: normalizeWord(word.word || word.text || ""),
-      start: word.start ?? 0,
-      end: word.end ?? 0
-    }));
-
-    const map = [];
-    const LOOKAHEAD = 3;
-    const skipEmptyStt = idx => {
-      while (idx < normalizedStt.length && !normalizedStt[idx].text) idx += 1;
-      return idx;
-    };
-    const skipEmptyWord = idx => {
-      while (idx < normalizedWords.length && !normalizedWords[idx]) idx += 1;
-      return idx;
-    };
-
-    let i = skipEmptyStt(0);
-    let j = skipEmptyWord(0);
-    while (i < normalizedStt.length && j < normalizedWords.length) {
-      const w = normalizedStt[i];
-      const s = normalizedWords[j];
-
-      if (!s) { j = skipEmptyWord(j + 1); continue; }
-      if (!w?.text) { i = skipEmptyStt(i + 1); continue; }
-
-      if (w.text === s) {
-        map.push({ wordIndex: j, start: w.start, end: w.end });
-        i = skipEmptyStt(i + 1);
-        j = skipEmptyWord(j + 1);
-        continue;
-      }
-
-      let advanced = false;
-      for (let wi = 1; wi <= LOOKAHEAD && i + wi < normalizedStt.length; wi++) {
-        const next = normalizedStt[i + wi];
-        if (!next?.text) continue;
-        if (next.text === s) {
-          i = skipEmptyStt(i + wi);
-          advanced = true;
-          break;
-        }
-      }
-      if (advanced) continue;
-
-      for (let sj = 1; sj <= LOOKAHEAD && j + sj < normalizedWords.length; sj++) {
-        const next = normalizedWords[j + sj];
-        if (!next) continue;
-        if (next === w.text) {
-          j = skipEmptyWord(j + sj);
-          advanced = true;
-          break;
-        }
-      }
-      if (advanced) continue;
-
-      map.push({ wordIndex: j, start: w.start, end: w.end });
-      i = skipEmptyStt(i + 1);
-      j = skipEmptyWord(j + 1);
-    }
-
-    return map;
-  }
+  // ─── Offline playback (speechSynthesis) ─────────────────────────────
 
-  function buildFallbackMap(words, duration) {
-    if (!duration || !words.length) return [];
-    const per = duration / words.length;
-    return words.map((_, idx) => ({
-      wordIndex: idx,
-      start: idx * per,
-      end: (idx + 1) * per
-    }));
+  /**
+   * Switch the current session to the browser's built-in voice.
+   * Returns false when the fallback is disabled or unsupported.
+   */
+  function useLocalFallback() {
+    if (!session || session.cancelled) return false;
+    if (session.local.enabled) return true;
+    const settings = cachedSettings || LOCAL_SETTINGS_DEFAULTS;
+    if (!settings.local_fallback || typeof speechSynthesis === "undefined") return false;
+    session.local.enabled = true;
+    disconnectPort({ silent: true });
+    clearGenerateIndicator();
+    showToast(i18n("toastLocalFallback"), false, 2500);
+    return true;
   }
 
-  function normalizeTimingMap(words, timingMap, duration) {
-    if (!words.length) return [];
-    if (!Array.isArray(timingMap)) timingMap = [];
+  function startLocalChunkPlayback(wordSlice, startIndex) {
+    if (!session || !wordSlice?.length) return Promise.resolve();
+    const safeIndex = Math.max(0, Math.min(wordSlice.length - 1, startIndex ?? 0));
+    session.chunks.pendingHighlightIndex = null;
+    session.chunks.pendingStartIndex = null;
+    session.done = false;
+    disposeAudio();
 
-    const entries = new Array(words.length).fill(null);
-    let avg = 0;
-    let count = 0;
+    // Character offset of each word inside the utterance text, for boundary events
+    const spoken = wordSlice.slice(safeIndex).map(word => ({ ...word, text: word.spoken ?? word.text }));
+    const offsets = [];
+    let pos = 0;
+    spoken.forEach((word, i) => {
+      if (i) pos += (word.joiner ?? " ").length;
+      offsets.push(pos);
+      pos += word.text.length;
+    });
+    const text = joinWords(spoken);
 
-    for (const entry of timingMap) {
-      if (!entry || entry.wordIndex == null) continue;
-      entries[entry.wordIndex] = { ...entry };
-      if (entry.end > entry.start) {
-        avg += (entry.end - entry.start);
-        count += 1;
-      }
-    }
+    updatePlaybackMaps([], wordSlice);
+    setHighlightByIndex(safeIndex, wordSlice);
 
-    if (!count) {
-      avg = duration ? duration / words.length : 0.35;
-    } else {
-      avg = avg / count;
-    }
-
-    const firstKnown = entries.findIndex(e => e);
-    if (firstKnown === -1) {
-      if (duration) return buildFallbackMap(words, duration);
-      return words.map((_, idx) => ({
-        wordIndex: idx,
-        start: idx * avg,
-        end: (idx + 1) * avg
-      }));
-    }
-
-    for (let i = firstKnown - 1; i >= 0; i--) {
-      const next = entries[i + 1];
-      const end = next?.start ?? (avg * (i + 1));
-      const start = Math.max(0, end - avg);
-      entries[i] = { wordIndex: i, start, end };
-    }
-
-    let prev = firstKnown;
-    for (let i = firstKnown + 1; i < entries.length; i++) {
-      if (entries[i]) { prev = i; continue; }
-      let next = i + 1;
-      while (next < entries.length && !entries[next]) next += 1;
-      const gap = next - prev;
-      if (next < entries.length) {
-        const start = entries[prev]?.end ?? (avg * prev);
-        const end = entries[next]?.start ?? (start + avg * gap);
-        let step = (end - start) / gap;
-        if (!Number.isFinite(step) || step <= 0) step = avg;
-        for (let k = 1; k < gap; k++) {
-          const s = start + step * (k - 1);
-          const e = start + step * k;
-          const idx = prev + k;
-          entries[idx] = { wordIndex: idx, start: s, end: e };
-        }
-      } else {
-        let start = entries[prev]?.end ?? (avg * prev);
-        for (let k = 1; k < gap; k++) {
-          const idx = prev + k;
-          const end = start + avg;
-          entries[idx] = { wordIndex: idx, start, end };
-          start = end;
+    return new Promise(resolve => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.rate = playbackRate;
+      utterance.lang = getElementLang(session.paragraph);
+
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        if (session?.local.utterance === utterance) {
+          session.local.utterance = null;
+          session.local.finish = null;
         }
-      }
-      prev = Math.min(next, entries.length - 1);
-    }
-
-    for (let i = 0; i < entries.length; i++) {
-      if (!entries[i]) {
-        const start = i * avg;
-        entries[i] = { wordIndex: i, start, end: start + avg };
-      }
-    }
-
-    const minDur = Math.max(avg * 0.4, 0.04);
-    let lastEnd = 0;
-    for (let i = 0; i < entries.length; i++) {
-      const entry = entries[i];
-      const start = Math.max(entry.start ?? lastEnd, lastEnd);
-      const end = Math.max(entry.end ?? (start + minDur), start + minDur);
-      entry.start = start;
-      entry.end = end;
-      lastEnd = end;
-    }
+        updateMiniPlayerState(false);
+        resolve();
+      };
 
-    return entries;
+      utterance.onboundary = evt => {
+        if (!session || session.cancelled || (evt.name && evt.name !== "word")) return;
+        let idx = 0;
+        while (idx + 1 < offsets.length && offsets[idx + 1] <= evt.charIndex) idx += 1;
+        setHighlightByIndex(safeIndex + idx, wordSlice);
+      };
+      utterance.onend = finish;
+      utterance.onerror = finish;
+
+      session.local.utterance = utterance;
+      session.local.finish = finish;
+      session.audio.userPaused = false;
+      speechSynthesis.cancel();
+      speechSynthesis.speak(utterance);
+      updateMiniPlayerState(true);
+    });
   }
 
-  function findWordIndexByTime(entries, time) {
-    if (!entries.length) return 0;
-    let lo = 0;
-    let hi = entries.length - 1;
-    if (time <= entries[0].start) return 0;
-    if (time >= entries[hi].end) return hi;
-    while (lo <= hi) {
-      const mid = (lo + hi) >>> 1;
-      const entry = entries[mid];
-      if (time >= entry.start && time <= entry.end) return mid;
-      if (time < entry.start) hi = mid - 1;
-      else lo = mid + 1;
-    }
-    return Math.max(0, Math.min(entries.length - 1, lo));
-  }
+  // ─── Timing & highlighting ──────────────────────────────────────────
 
   function highlightLoop(audio, timingMap) {
     if (!timingMap.length || !session) return;
@@ -1140,6 +1804,12 @@
       evt.preventDefault();
       const dir = evt.key === "ArrowRight" ? 1 : -1;
       handleRoamNavigation(dir);
+      return;
+    }
+
+    if (evt.key === "[" || evt.key === "]") {
+      evt.preventDefault();
+      stepPlaybackRate(evt.key === "]" ? 1 : -1, false);
     }
   }
 
@@ -1157,16 +1827,7 @@
     let state = ensureElementState(element, maxChars);
     if (!state || !state.words.length) return;
 
-    let index = roam.currentWordIndex;
-    if (index == null) {
-      const activeWords = session.highlight.activeWords;
-      const hlIdx = session.highlight.currentWordIndex;
-      if (activeWords && hlIdx != null && hlIdx >= 0 && hlIdx < activeWords.length) {
-        const found = state.words.indexOf(activeWords[hlIdx]);
-        if (found !== -1) index = found;
-      }
-      if (index == null) index = 0;
-    }
+    let index = resolveRoamWordIndex(state);
 
     while (true) {
       const nextIndex = index + direction;
@@ -1185,6 +1846,53 @@
       break;
     }
 
+    roamTo(element, state, index);
+  }
+
+  /** Jump to the start of the next sentence, or back to the start of this/the previous one. */
+  function jumpSentence(direction) {
+    if (!session) return;
+    enterRoamMode();
+    abortRoamPlayback();
+
+    const maxChars = cachedSettings?.max_chars ?? LOCAL_SETTINGS_DEFAULTS.max_chars;
+    let element = session.roam.currentElement || session.paragraph;
+    let state = ensureElementState(element, maxChars);
+    if (!state || !state.words.length) return;
+
+    const index = resolveRoamWordIndex(state);
+    const [first, last] = sentenceBounds(state.words, index);
+    let target = direction > 0 ? last + 1 : (index - first > 1 ? first : first - 1);
+
+    while (target < 0 || target >= state.words.length) {
+      const nextElement = findReadableElement(element, direction > 0);
+      if (!nextElement) return;
+      element = nextElement;
+      state = ensureElementState(element, maxChars);
+      if (!state || !state.words.length) continue;
+      target = direction > 0 ? 0 : state.words.length - 1;
+    }
+    if (direction < 0) target = sentenceBounds(state.words, target)[0];
+
+    roamTo(element, state, target);
+  }
+
+  // Roam position inside `state`, falling back to the word currently highlighted
+  function resolveRoamWordIndex(state) {
+    let index = session.roam.currentWordIndex;
+    if (index == null) {
+      const activeWords = session.highlight.activeWords;
+      const hlIdx = session.highlight.currentWordIndex;
+      if (activeWords && hlIdx != null && hlIdx >= 0 && hlIdx < activeWords.length) {
+        const found = state.words.indexOf(activeWords[hlIdx]);
+        if (found !== -1) index = found;
+      }
+      if (index == null) index = 0;
+    }
+    return index;
+  }
+
+  function roamTo(element, state, index) {
     if (index < 0 || index >= state.words.length) return;
     session.paragraph = element;
     session.roam.currentElement = element;
@@ -1195,6 +1903,7 @@
 
   function enterRoamMode() {
     if (!session?.roam) return;
+    cancelPrefetch();
     session.roam.active = true;
     if (session.cancelled) session.cancelled = false;
     if (session.done) session.done = false;
@@ -1258,6 +1967,11 @@
       return;
     }
 
+    if (session.local.enabled) {
+      startLocalChunkPlayback(wordSlice, startIndex);
+      return;
+    }
+
     requestChunkPlayback(chunkText, wordSlice, startIndex, token, element);
   }
 
@@ -1280,24 +1994,43 @@
       onError: msg => {
         if (session.roam.debounceToken !== token) return;
         clearGenerateIndicator();
+        if (useLocalFallback()) { startLocalChunkPlayback(wordSlice, startIndex); return; }
         showToast(msg?.error || "Groq request failed", true, 3500);
       },
       onDisconnect: () => {
         if (!session || session.cancelled) return;
         if (session.roam.debounceToken !== token) return;
         clearGenerateIndicator();
+        if (useLocalFallback()) { startLocalChunkPlayback(wordSlice, startIndex); return; }
         showToast(i18n("toastConnectionLost"), true, 3000);
       }
-    });
+    }, getElementLang(element || session.paragraph));
   }
 
-  const AGENT_MAX_BLOCKS = 50;
+  // Generic containers (div, section…) need this many words; semantic blocks such as headings and list items don't
   const AGENT_MIN_WORDS = 12;
   const AGENT_SNIPPET_CHARS = 320;
+  // Collection stops here on very long pages; background trims what the agent sees further
+  const AGENT_MAX_CANDIDATES = 400;
+  const LANDMARK_SELECTOR = [
+    "main", "article", "nav", "aside", "header", "footer", "form",
+    "[role='main']", "[role='article']", "[role='navigation']", "[role='complementary']",
+    "[role='banner']", "[role='contentinfo']", "[role='region']", "[role='form']"
+  ].join(", ");
+  const LANDMARK_ROLES = {
+    main: "main",
+    article: "article",
+    navigation: "nav",
+    complementary: "aside",
+    banner: "header",
+    contentinfo: "footer",
+    region: "section",
+    form: "form"
+  };
 
-  async function startAgentRead() {
+  async function startAgentRead({ force } = {}) {
     const settings = await getLocalSettings();
-    if (!settings.agent_mode) {
+    if (!settings.agent_mode && !force) {
       showToast(i18n("toastAgentDisabled"), true, 2200);
       return false;
     }
@@ -1305,58 +2038,21 @@
     const token = ++agentRunToken;
     if (session) stopSession("restart");
 
-    const candidates = collectCandidateBlocks();
-    if (!candidates.length) {
-      showToast(i18n("toastNoContent"), true, 2200);
-      return false;
-    }
-
-    showToast(i18n("toastAnalyzing"), false, 1200);
-    const agentCandidates = candidates.length > AGENT_MAX_BLOCKS
-      ? [...candidates].sort((a, b) => b.words - a.words).slice(0, AGENT_MAX_BLOCKS)
-      : candidates;
-    const payload = agentCandidates.map(block => ({
-      id: block.id,
-      tag: block.tag,
-      words: block.words,
-      link_ratio: block.linkRatio,
-      text: block.snippet
-    }));
-
-    const selection = await requestAgentSelection(payload);
-    if (token !== agentRunToken) return false;
-    if (!selection.ok) {
-      showToast(selection.error || "Agent request failed", true, 3500);
-      return false;
-    }
-
-    const readIds = Array.isArray(selection.readIds) ? selection.readIds : [];
-    let ordered = [];
-    if (readIds.length) {
-      const idSet = new Set(readIds);
-      ordered = candidates.filter(block => idSet.has(block.id));
-    }
-
-    if (!ordered.length) {
-      const fallback = [...candidates]
-        .sort((a, b) => b.words - a.words)
-        .slice(0, Math.min(3, candidates.length));
-      if (!fallback.length) {
-        showToast(i18n("toastAgentEmpty"), true, 2200);
-        return false;
-      }
-      showToast(i18n("toastAgentFallback"), true, 2200);
-      ordered = fallback;
-    }
+    const units = await requestReadingUnits(token, settings);
+    if (!units) return false;
 
-    const orderedIds = new Set(ordered.map(block => block.id));
-    flashAgentBlocks(ordered, orderedIds);
+    flashAgentBlocks(units.filter(unit => unit.element));
+    const group = units.map(unit => unit.element).filter(Boolean);
 
-    for (const block of ordered) {
+    for (const unit of units) {
       if (token !== agentRunToken) break;
       if (session?.roam?.active) break;
       if (session) stopSession("restart");
-      await speakParagraph(block.element, settings.max_chars);
+      if (unit.element) {
+        await speakParagraph(unit.element, settings.max_chars, { continuous: false, group });
+      } else {
+        await speakDetachedText(unit.text, unit.anchor, settings);
+      }
       if (token !== agentRunToken) break;
       if (session?.roam?.active) break;
       if (!session) break;
@@ -1365,7 +2061,55 @@
     return true;
   }
 
-  function collectCandidateBlocks(maxBlocks) {
+  /**
+   * Plan the page — with the agent, on this device, or with the agent and the
+   * local extractor as its fallback (`agent_strategy`) — and expand the plan
+   * into reading units. Returns null, after telling the user why, when there
+   * is nothing to read or a newer run took over.
+   */
+  async function requestReadingUnits(token, settings) {
+    const candidates = collectCandidateBlocks();
+    if (!candidates.length) {
+      showToast(i18n("toastNoContent"), true, 2200);
+      return null;
+    }
+
+    const blocks = candidates.map(agentBlockPayload);
+    if (settings.agent_strategy === "local") return localReadingUnits(blocks, candidates);
+
+    showToast(i18n("toastAnalyzing"), false, 1200);
+    const selection = await requestAgentSelection(blocks);
+    if (token !== agentRunToken) return null;
+    const plan = selection.ok && Array.isArray(selection.plan) ? selection.plan : [];
+    const units = planReadingUnits(plan, candidates);
+    if (units.length) return units;
+
+    if (settings.agent_strategy === "llm") {
+      if (selection.ok) showToast(i18n("toastAgentEmpty"), true, 2200);
+      else showToast(selection.error || "Agent request failed", true, 3500);
+      return null;
+    }
+    if (selection.ok) showToast(i18n("toastAgentFallback"), true, 2200);
+    else showToast(i18n("toastAgentLocalFallback", [selection.error || "Agent request failed"]), true, 3500);
+    return localReadingUnits(blocks, candidates);
+  }
+
+  /** Reading units for the main content found by the local extractor. */
+  function localReadingUnits(blocks, candidates) {
+    const { plan } = GroqReadabilityCore.extractMainContent(blocks);
+    const units = planReadingUnits(plan, candidates);
+    if (units.length) return units;
+    showToast(i18n("toastNoContent"), true, 2200);
+    return null;
+  }
+
+  /**
+   * Readable blocks in document order, with the structure the agent plans
+   * from: kind, heading level and hierarchy, section, landmark, position and
+   * depth. A data table is one block; cells of layout tables stay separate.
+   * At most AGENT_MAX_CANDIDATES blocks, the first ones on the page.
+   */
+  function collectCandidateBlocks() {
     const walker = document.createTreeWalker(
       document.body,
       NodeFilter.SHOW_TEXT,
@@ -1374,45 +2118,211 @@
 
     const seen = new Set();
     const candidates = [];
+    // Open headings, outermost first: { id, level }
+    const headings = [];
+    const pageHeight = Math.max(1, document.documentElement.scrollHeight);
     let order = 0;
 
-    while (walker.nextNode()) {
-      const container = getReadableContainer(walker.currentNode);
+    while (candidates.length < AGENT_MAX_CANDIDATES && walker.nextNode()) {
+      const block = getReadableContainer(walker.currentNode);
+      const container = block && (dataTableOf(block) || block);
       if (!container || seen.has(container)) continue;
       seen.add(container);
-      if (!isCandidateBlock(container)) continue;
+      if (container === block && !isCandidateBlock(container)) continue;
 
       const text = (container.textContent || "").trim();
       if (!text) continue;
-      const words = text.split(/\s+/).filter(Boolean);
-      if (words.length < AGENT_MIN_WORDS) continue;
+      const kind = blockKind(container);
+      const lang = getElementLang(container);
+      const words = segmentWords(text, lang);
+      if (!words.length || (kind === "block" && words.length < AGENT_MIN_WORDS)) continue;
 
       const linkText = Array.from(container.querySelectorAll("a"))
         .map(a => a.textContent || "")
         .join(" ");
-      const linkWords = linkText.split(/\s+/).filter(Boolean).length;
+      const linkWords = segmentWords(linkText, lang).length;
       const linkRatio = words.length ? Math.min(1, linkWords / words.length) : 0;
+      const top = container.getBoundingClientRect().top + window.scrollY;
 
-      candidates.push({
+      const candidate = {
         id: order,
         order,
         element: container,
+        kind,
         tag: container.tagName.toLowerCase(),
         words: words.length,
         linkRatio: Number(linkRatio.toFixed(3)),
+        landmark: landmarkOf(container),
+        position: Number(Math.min(1, Math.max(0, top / pageHeight)).toFixed(3)),
+        depth: domDepth(container),
         snippet: text.slice(0, AGENT_SNIPPET_CHARS)
-      });
+      };
+
+      if (kind === "heading") {
+        const level = headingLevel(container);
+        while (headings.length && headings.at(-1).level >= level) headings.pop();
+        candidate.level = level;
+        candidate.parent = headings.at(-1)?.id ?? null;
+        candidate.sectionPath = headings.map(h => h.id);
+        headings.push({ id: order, level });
+      } else {
+        candidate.sectionPath = headings.map(h => h.id);
+      }
+      candidate.section = candidate.kind === "heading" ? candidate.parent : (headings.at(-1)?.id ?? null);
+
+      if (kind === "table") {
+        candidate.table = describeTable(container);
+        candidate.snippet = tableSnippet(container, candidate.table);
+      }
+      if (kind === "caption") {
+        const alt = (container.closest("figure")?.querySelector("img")?.alt || "").trim();
+        if (alt) candidate.figure = { alt };
+      }
+
+      candidates.push(candidate);
       order += 1;
     }
 
-    if (!Number.isFinite(maxBlocks) || maxBlocks <= 0) return candidates;
-    if (candidates.length <= maxBlocks) return candidates;
+    return candidates;
+  }
+
+  /** What background sends the agent for one candidate block. */
+  function agentBlockPayload(block) {
+    const payload = {
+      id: block.id,
+      kind: block.kind,
+      tag: block.tag,
+      words: block.words,
+      link_ratio: block.linkRatio,
+      landmark: block.landmark,
+      section: block.section,
+      position: block.position,
+      depth: block.depth,
+      text: block.snippet
+    };
+    if (block.kind === "heading") {
+      payload.level = block.level;
+      payload.parent = block.parent;
+    }
+    if (block.table) payload.table = block.table;
+    if (block.figure) payload.figure = block.figure;
+    return payload;
+  }
+
+  /**
+   * Expand plan steps into reading units in plan order, each element once:
+   * `{ element }` for page content, `{ text, anchor }` for an image's alt text.
+   */
+  function planReadingUnits(plan, candidates) {
+    const byId = new Map(candidates.map(block => [block.id, block]));
+    const used = new Set();
+    const units = [];
+    const addElement = element => {
+      if (!element || used.has(element)) return;
+      used.add(element);
+      units.push({ element });
+    };
+
+    for (const step of plan) {
+      const block = byId.get(step?.id);
+      if (!block) continue;
+      if (step.action === "read_section" && block.kind === "heading") {
+        for (const member of candidates) {
+          if (member.sectionPath.includes(block.id)) addElement(member.element);
+        }
+      } else if (step.action === "read_table") {
+        for (const element of tableReadingElements(block.element, step.strategy)) addElement(element);
+      } else if (step.action === "read_figure") {
+        const img = block.element.closest("figure")?.querySelector("img");
+        const alt = (img?.alt || "").trim();
+        if (alt && !used.has(img)) {
+          used.add(img);
+          units.push({ text: alt, anchor: img });
+        }
+        addElement(block.element);
+      } else {
+        addElement(block.element);
+      }
+    }
+    return units;
+  }
+
+  /**
+   * Elements to read for a table: "rows" reads the caption, the header row and
+   * then each row; "headers" only the caption and header row; "whole" the table.
+   */
+  function tableReadingElements(table, strategy) {
+    if (table.tagName !== "TABLE" || (strategy !== "rows" && strategy !== "headers")) return [table];
+    const caption = table.caption?.textContent.trim() ? table.caption : null;
+    const header = tableHeaderRow(table);
+    const parts = [caption, header];
+    if (strategy === "rows") {
+      parts.push(...Array.from(table.rows).filter(row => row !== header && row.textContent.trim()));
+    }
+    const elements = parts.filter(Boolean);
+    return elements.length ? elements : [table];
+  }
+
+  /** The data table `el` belongs to, or null outside tables and for layout tables. */
+  function dataTableOf(el) {
+    const table = el.closest("table");
+    if (!table || /^(presentation|none)$/.test(table.getAttribute("role") || "")) return null;
+    if (table.querySelector("table") || !table.querySelector("th, caption, thead")) return null;
+    return table;
+  }
+
+  /** First row of header cells: the <thead> row, or a row made only of <th>. */
+  function tableHeaderRow(table) {
+    if (table.tHead?.rows.length) return table.tHead.rows[0];
+    return Array.from(table.rows).find(row =>
+      row.cells.length && Array.from(row.cells).every(cell => cell.tagName === "TH")) || null;
+  }
+
+  function describeTable(table) {
+    const header = tableHeaderRow(table);
+    return {
+      rows: table.rows.length,
+      cols: Math.max(0, ...Array.from(table.rows, row => row.cells.length)),
+      caption: (table.caption?.textContent || "").trim(),
+      headers: header ? Array.from(header.cells, cell => cell.textContent.trim()) : []
+    };
+  }
+
+  /** Caption, headers and the first rows, one row per line, so the agent sees the shape. */
+  function tableSnippet(table, info) {
+    const rows = Array.from(table.rows, row => Array.from(row.cells, cell => cell.textContent.trim()).join(" | "));
+    return [info.caption, ...rows].filter(Boolean).join("\n").slice(0, AGENT_SNIPPET_CHARS);
+  }
+
+  function blockKind(el) {
+    const tag = el.tagName;
+    if (/^H[1-6]$/.test(tag) || el.getAttribute("role") === "heading") return "heading";
+    if (tag === "TABLE") return "table";
+    if (tag === "LI" || tag === "DT" || tag === "DD") return "list_item";
+    if (tag === "FIGCAPTION") return "caption";
+    if (tag === "BLOCKQUOTE") return "quote";
+    if (tag === "PRE") return "code";
+    if (tag === "P") return "paragraph";
+    return "block";
+  }
+
+  function headingLevel(el) {
+    const match = /^H([1-6])$/.exec(el.tagName);
+    if (match) return Number(match[1]);
+    return Math.min(6, Math.max(1, Number(el.getAttribute("aria-level")) || 2));
+  }
+
+  /** Nearest landmark around `el` ("main", "nav", "aside"…), or "" outside any. */
+  function landmarkOf(el) {
+    const landmark = el.parentElement?.closest(LANDMARK_SELECTOR);
+    if (!landmark) return "";
+    return LANDMARK_ROLES[landmark.getAttribute("role")] || landmark.tagName.toLowerCase();
+  }
 
-    const top = [...candidates]
-      .sort((a, b) => b.words - a.words)
-      .slice(0, maxBlocks);
-    const keep = new Set(top.map(item => item.id));
-    return candidates.filter(item => keep.has(item.id));
+  function domDepth(el) {
+    let depth = 0;
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) depth += 1;
+    return depth;
   }
 
   function requestAgentSelection(blocks) {
@@ -1452,6 +2362,18 @@
   }
 
   function togglePlayPause() {
+    if (session?.local.utterance) {
+      if (speechSynthesis.paused) {
+        speechSynthesis.resume();
+        session.audio.userPaused = false;
+        updateMiniPlayerState(true);
+      } else {
+        speechSynthesis.pause();
+        session.audio.userPaused = true;
+        updateMiniPlayerState(false);
+      }
+      return;
+    }
     const audio = session?.audio.el;
     if (!audio) return;
     if (audio.paused || audio.ended) {
@@ -1654,7 +2576,8 @@
       try {
         let result = cachedResult;
         if (!result) {
-          result = await speechRequestTts(text);
+          const lang = getElementLang(paragraph);
+          result = await speechRequestTts(speakableText(text, lang) || text, lang);
           if (!result.ok) {
             showToast(result.error || "TTS request failed", true, 3500);
             setSpeechBtnState(btn, "idle");
@@ -1663,13 +2586,14 @@
           cachedResult = result;
         }
 
-        const buffer = base64ToArrayBuffer(result.audio);
-        const blob = new Blob([buffer], { type: result.mime || "audio/wav" });
+        const blob = await resultToBlob(result);
+        if (!blob) { setSpeechBtnState(btn, "idle"); return; }
         if (blobUrl) URL.revokeObjectURL(blobUrl);
         blobUrl = URL.createObjectURL(blob);
 
         if (!audio) audio = new Audio();
         audio.src = blobUrl;
+        applyPlaybackRate(audio);
         audio.onended = () => setSpeechBtnState(btn, "idle");
         audio.onerror = () => setSpeechBtnState(btn, "idle");
 
@@ -1708,10 +2632,10 @@
     }
   }
 
-  function speechRequestTts(text) {
+  function speechRequestTts(text, lang) {
     return new Promise(resolve => {
       chrome.runtime.sendMessage(
-        { type: GROQ_MESSAGES.SPEECH_TTS, text },
+        { type: GROQ_MESSAGES.SPEECH_TTS, text, lang },
         response => {
           const err = chrome.runtime.lastError;
           if (err) { resolve({ ok: false, error: err.message }); return; }
@@ -1726,9 +2650,9 @@
     speechEntries.clear();
   }
 
-  async function startAgentSpeechMode() {
+  async function startAgentSpeechMode({ force } = {}) {
     const settings = await getLocalSettings();
-    if (!settings.agent_mode) {
+    if (!settings.agent_mode && !force) {
       showToast(i18n("toastAgentDisabled"), true, 2200);
       return false;
     }
@@ -1736,67 +2660,249 @@
     const token = ++agentRunToken;
     if (session) stopSession("restart");
 
-    const candidates = collectCandidateBlocks();
-    if (!candidates.length) {
-      showToast(i18n("toastNoContent"), true, 2200);
-      return false;
-    }
+    const units = await requestReadingUnits(token, settings);
+    if (!units) return false;
 
-    showToast(i18n("toastAnalyzing"), false, 1200);
-    const agentCandidates = candidates.length > AGENT_MAX_BLOCKS
-      ? [...candidates].sort((a, b) => b.words - a.words).slice(0, AGENT_MAX_BLOCKS)
-      : candidates;
-    const payload = agentCandidates.map(block => ({
-      id: block.id,
-      tag: block.tag,
-      words: block.words,
-      link_ratio: block.linkRatio,
-      text: block.snippet
-    }));
+    // Play buttons go on whole tables and figures, not on rows or alt text
+    const elements = new Set(units
+      .filter(unit => unit.element)
+      .map(unit => (unit.element.tagName === "TR" || unit.element.tagName === "CAPTION"
+        ? unit.element.closest("table")
+        : unit.element)));
+    flashAgentBlocks([...elements].map(element => ({ element })));
 
-    const selection = await requestAgentSelection(payload);
-    if (token !== agentRunToken) return false;
-    if (!selection.ok) {
-      showToast(selection.error || "Agent request failed", true, 3500);
-      return false;
+    for (const element of elements) {
+      if (token !== agentRunToken) break;
+      speechModeActivate(element);
     }
 
-    const readIds = Array.isArray(selection.readIds) ? selection.readIds : [];
-    let ordered = [];
-    if (readIds.length) {
-      const idSet = new Set(readIds);
-      ordered = candidates.filter(block => idSet.has(block.id));
+    return true;
+  }
+
+  // ─── Export (audio file + subtitles) ────────────────────────────────
+
+  /**
+   * Synthesize `elements` through the port pipeline, join the chunk audio into
+   * one WAV file and write a matching WebVTT/SRT file from the timing maps.
+   */
+  async function exportReading(elements) {
+    // Entries are elements, or { element, words } for an exact-range selection
+    const targets = (elements || [])
+      .map(entry => (entry instanceof Element ? { element: entry } : entry))
+      .filter(entry => entry?.element?.isConnected);
+    if (!targets.length) {
+      showToast(i18n("toastExportNothing"), true, 2500);
+      return;
     }
+    if (exportRunning) return;
+    exportRunning = true;
 
-    if (!ordered.length) {
-      const fallback = [...candidates]
-        .sort((a, b) => b.words - a.words)
-        .slice(0, Math.min(3, candidates.length));
-      if (!fallback.length) {
-        showToast(i18n("toastAgentEmpty"), true, 2200);
-        return false;
+    const settings = await getLocalSettings();
+    const batches = [];
+    const chunkWords = [];
+    for (const target of targets) {
+      const { words, chunks } = prepareChunks(target.element, settings.max_chars, target.words);
+      if (!chunks.length) continue;
+      const batch = { lang: getElementLang(target.element), texts: [] };
+      let offset = 0;
+      for (const chunk of chunks) {
+        batch.texts.push(chunk.text);
+        chunkWords.push(words.slice(offset, offset + chunk.count));
+        offset += chunk.count;
       }
-      showToast(i18n("toastAgentFallback"), true, 2200);
-      ordered = fallback;
+      batches.push(batch);
     }
 
-    const orderedIds = new Set(ordered.map(block => block.id));
-    flashAgentBlocks(ordered, orderedIds);
+    let audioCtx = null;
+    try {
+      if (!chunkWords.length) throw new Error(i18n("toastExportNothing"));
+      showToast(i18n("toastExporting"), false, 2500);
+      // One stream per block so each is voiced in its own language
+      const results = [];
+      for (const batch of batches) {
+        results.push(...await requestChunkResults(batch.texts, batch.lang));
+      }
+
+      audioCtx = new AudioContext();
+      const buffers = [];
+      for (const result of results) {
+        const blob = await resultToBlob(result);
+        buffers.push(await audioCtx.decodeAudioData(await blob.arrayBuffer()));
+      }
 
-    for (const block of ordered) {
-      if (token !== agentRunToken) break;
-      speechModeActivate(block.element);
+      const timedWords = [];
+      let offset = 0;
+      buffers.forEach((buffer, idx) => {
+        const words = chunkWords[idx];
+        let timingMap = buildTimingMap(words, results[idx].words);
+        timingMap = normalizeTimingMap(words, timingMap, buffer.duration);
+        for (const entry of timingMap) {
+          const word = words[entry.wordIndex];
+          timedWords.push({
+            text: word.text,
+            joiner: word.joiner,
+            sentenceEnd: endsSentence(word, words[entry.wordIndex + 1] ?? chunkWords[idx + 1]?.[0]),
+            start: offset + entry.start,
+            end: offset + Math.min(entry.end, buffer.duration)
+          });
+        }
+        offset += buffer.duration;
+      });
+
+      const baseName = exportFileName();
+      const cues = buildCues(timedWords, settings.export_cues);
+      const subtitles = settings.export_subtitles === "srt"
+        ? { text: formatSrt(cues), ext: "srt", mime: "application/x-subrip" }
+        : { text: formatVtt(cues), ext: "vtt", mime: "text/vtt" };
+
+      downloadBlob(encodeWav(buffers, audioCtx.sampleRate), `${baseName}.wav`);
+      downloadBlob(new Blob([subtitles.text], { type: subtitles.mime }), `${baseName}.${subtitles.ext}`);
+      showToast(i18n("toastExportDone"), false, 2500);
+    } catch (err) {
+      showToast(err?.message || i18n("toastExportFailed"), true, 3500);
+    } finally {
+      exportRunning = false;
+      audioCtx?.close().catch(() => {});
+    }
+  }
+
+  /** Run chunk texts through a dedicated port and resolve with all results in order. */
+  function requestChunkResults(chunkTexts, lang) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: GROQ_MESSAGES.PORT });
+      const results = new Array(chunkTexts.length);
+      let settled = false;
+      const finish = err => {
+        if (settled) return;
+        settled = true;
+        try { port.disconnect(); } catch (_) {}
+        if (err) reject(err);
+        else resolve(results);
+      };
+      port.onMessage.addListener(msg => {
+        if (msg.type === "chunk") results[msg.index] = msg.result;
+        else if (msg.type === "error") finish(new Error(msg.error || i18n("toastExportFailed")));
+        else if (msg.type === "done") {
+          finish(results.every(Boolean) ? null : new Error(i18n("toastExportFailed")));
+        }
+      });
+      port.onDisconnect.addListener(() => finish(new Error(i18n("toastConnectionLost"))));
+      port.postMessage({ type: "start", chunks: chunkTexts, lang });
+    });
+  }
+
+  function buildCues(timedWords, mode) {
+    if (mode === "word") {
+      return timedWords.map(w => ({ start: w.start, end: w.end, text: w.text }));
+    }
+    const cues = [];
+    let current = null;
+    for (const word of timedWords) {
+      if (!current) current = { start: word.start, end: word.end, words: [] };
+      current.words.push(word);
+      current.end = word.end;
+      if (word.sentenceEnd) {
+        cues.push({ start: current.start, end: current.end, text: joinWords(current.words) });
+        current = null;
+      }
     }
+    if (current) cues.push({ start: current.start, end: current.end, text: joinWords(current.words) });
+    return cues;
+  }
 
-    return true;
+  function formatCueTime(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const pad = (n, len = 2) => String(n).padStart(len, "0");
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+  }
+
+  function formatVtt(cues) {
+    const body = cues.map(cue =>
+      `${formatCueTime(cue.start, ".")} --> ${formatCueTime(cue.end, ".")}\n${cue.text}`
+    );
+    return ["WEBVTT", ...body].join("\n\n") + "\n";
+  }
+
+  function formatSrt(cues) {
+    return cues.map((cue, idx) =>
+      `${idx + 1}\n${formatCueTime(cue.start, ",")} --> ${formatCueTime(cue.end, ",")}\n${cue.text}`
+    ).join("\n\n") + "\n";
+  }
+
+  /** Mix decoded chunks down to mono and encode them as one 16-bit PCM WAV. */
+  function encodeWav(buffers, sampleRate) {
+    const total = buffers.reduce((sum, b) => sum + b.length, 0);
+    const view = new DataView(new ArrayBuffer(44 + total * 2));
+    const writeString = (pos, str) => {
+      for (let i = 0; i < str.length; i++) view.setUint8(pos + i, str.charCodeAt(i));
+    };
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + total * 2, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, "data");
+    view.setUint32(40, total * 2, true);
+
+    let pos = 44;
+    for (const buffer of buffers) {
+      const channels = [];
+      for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+      for (let i = 0; i < buffer.length; i++) {
+        let sample = 0;
+        for (const data of channels) sample += data[i];
+        sample = Math.max(-1, Math.min(1, sample / channels.length));
+        view.setInt16(pos, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        pos += 2;
+      }
+    }
+    return new Blob([view.buffer], { type: "audio/wav" });
+  }
+
+  function exportFileName() {
+    const title = (document.title || location.hostname || "reading")
+      .replace(/[\\/:*?"<>|]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 80);
+    return title || "reading";
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.style.display = "none";
+    document.documentElement.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10_000);
   }
 
   // ─── Session management ─────────────────────────────────────────────
 
+  /**
+   * End the current session. "done" keeps the highlight and mini-player;
+   * "restart" clears them for a new read; "continue" is a restart by
+   * continuous reading, the only one that keeps the prefetched stream.
+   */
   function stopSession(reason) {
     if (!session) return;
     const keepHighlight = reason === "done";
+    const restarting = reason === "restart" || reason === "continue";
     session.cancelled = true;
+    if (reason !== "continue") cancelPrefetch();
+    if (!restarting && reason !== "done") removeDetachedCaption();
 
     if (session.roam?.debounceTimer) {
       clearTimeout(session.roam.debounceTimer);
@@ -1810,6 +2916,7 @@
 
     // Highlight cleanup
     session.highlight.running = false;
+    clearTimeout(session.follow.timer);
 
     // Port cleanup
     disconnectPort();
@@ -1829,27 +2936,34 @@
       session.done = true;
     } else {
       session = null;
+      transcript = null;
+      transcriptProgress = null;
     }
+    if (!restarting) publishTranscript({ kind: "end" });
 
     // Hide mini-player unless we just finished (keep it for done state)
     if (reason !== "done") {
       hideMiniPlayer();
     }
 
-    if (reason !== "restart") notifyPickerResume();
+    if (!restarting) notifyPickerResume();
   }
 
   // ─── Utilities ──────────────────────────────────────────────────────
 
-  function normalizeWord(text) {
-    return (text || "")
-      .toLowerCase()
-      .replace(/[\u02BC\u2018\u2019\u2032]/g, "'")
-      .replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, "");
+  /** Inclusive [first, last] word indices of the sentence containing `index`. */
+  function sentenceBounds(words, index) {
+    let first = index;
+    while (first > 0 && !endsSentence(words[first - 1], words[first])) first -= 1;
+    let last = index;
+    while (last < words.length - 1 && !endsSentence(words[last], words[last + 1])) last += 1;
+    return [first, last];
   }
 
-  function isSentenceEnd(text) {
-    return /[.!?]+[\"')\\]]*$/.test((text || "").trim());
+  // Words from mapWords carry segmenter-based flags; fall back to punctuation
+  // otherwise, looking at the `next` word for "No. 5" and initials
+  function endsSentence(word, next) {
+    return word.sentenceEnd ?? isSentenceEnd(word.text, next ? next.text : "");
   }
 
   function isEditableTarget(target) {
@@ -1944,6 +3058,8 @@
     style.textContent = `
       :root {
         --groq-tts-highlight-bg: #ffe66b;
+        --groq-tts-sentence-bg: rgba(255, 230, 107, 0.32);
+        --groq-tts-read-color: rgba(0, 0, 0, 0.45);
         --groq-tts-spinner-size: 1em;
         --groq-tts-spinner-border: 0.12em;
         --groq-tts-spinner-ring: rgba(0, 0, 0, 0.18);
@@ -1953,6 +3069,8 @@
       @media (prefers-color-scheme: dark) {
         :root {
           --groq-tts-highlight-bg: rgba(255, 214, 102, 0.28);
+          --groq-tts-sentence-bg: rgba(255, 214, 102, 0.1);
+          --groq-tts-read-color: rgba(255, 255, 255, 0.45);
           --groq-tts-spinner-ring: rgba(255, 255, 255, 0.22);
           --groq-tts-spinner-accent: rgba(255, 214, 102, 0.9);
         }
@@ -1961,6 +3079,12 @@
         background-color: var(--groq-tts-highlight-bg);
         color: inherit;
       }
+      ::highlight(groq-tts-sentence) {
+        background-color: var(--groq-tts-sentence-bg);
+      }
+      ::highlight(groq-tts-read) {
+        color: var(--groq-tts-read-color);
+      }
       .groq-tts-generating {
         display: inline-block;
         width: var(--groq-tts-spinner-size);
@@ -2112,6 +3236,31 @@
           background: rgba(255, 214, 102, 0.2);
         }
       }
+      .groq-tts-caption {
+        position: absolute;
+        z-index: 2147483646;
+        padding: 8px 12px;
+        font: 14px/1.5 system-ui, sans-serif;
+        color: #1d1d1d;
+        background: #fff;
+        border: 1px solid rgba(0, 0, 0, 0.15);
+        border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.18);
+      }
+      .groq-tts-caption.floating {
+        position: fixed;
+        top: 16px;
+        left: 50%;
+        max-width: min(560px, 90vw);
+        transform: translateX(-50%);
+      }
+      @media (prefers-color-scheme: dark) {
+        .groq-tts-caption {
+          color: #f2f2f2;
+          background: #242424;
+          border-color: rgba(255, 255, 255, 0.18);
+        }
+      }
       /* ── Element Picker overlay ── */
       .groq-tts-picker-overlay {
         position: absolute;
@@ -2169,6 +3318,17 @@
       .groq-tts-mp-btn svg {
         display: block;
       }
+      .groq-tts-mp-btn[hidden] {
+        display: none;
+      }
+      .groq-tts-mp-btn.groq-tts-mp-speed {
+        width: auto;
+        min-width: 40px;
+        padding: 0 8px;
+        border-radius: 999px;
+        font: 600 12px/1 system-ui, sans-serif;
+        font-variant-numeric: tabular-nums;
+      }
     `;
     document.documentElement.appendChild(style);
   }
@@ -2187,7 +3347,9 @@
       })();
     },
     stop: () => stopSession("cancelled"),
-    isActive: () => Boolean(session && !session.cancelled)
+    isActive: () => Boolean(session && !session.cancelled),
+    publishTranscriptState,
+    seekTranscript
   };
 
   const stub = window.__groqTtsStub;
@@ -2207,6 +3369,10 @@
         startAgentRead();
       } else if (pending.type === GROQ_MESSAGES.PICKER_START) {
         startPicker();
+      } else if (pending.type === GROQ_MESSAGES.COMMAND) {
+        runCommand(pending.command);
+      } else if (pending.type === GROQ_MESSAGES.CONTEXT_READ) {
+        runContextAction(pending);
       }
     }
 
@@ -10,6 +10,9 @@
   window.__groqTtsStub = {
     pending: null,
     pendingCallback: null,
+    contextTarget: null,
+    // Ports from open side panels; the engine publishes its transcript over them
+    panelPorts: new Set(),
     get engineLoaded() { return engineLoaded; },
     set engineLoaded(v) { engineLoaded = v; }
   };
@@ -40,6 +43,11 @@
     }, 0);
   });
 
+  // --- Remember the right-clicked element for context menu actions ---
+  document.addEventListener("contextmenu", evt => {
+    window.__groqTtsStub.contextTarget = evt.target;
+  }, true);
+
   // --- Escape to cancel (delegate to engine if loaded) ---
   document.addEventListener("keydown", evt => {
     if (evt.key === "Escape" && engineLoaded && window.__groqTtsEngine) {
@@ -47,6 +55,19 @@
     }
   });
 
+  // --- Side panel transcript: connected only while a panel shows this tab ---
+  chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== GROQ_MESSAGES.TRANSCRIPT_PORT) return;
+    const ports = window.__groqTtsStub.panelPorts;
+    ports.add(port);
+    port.onDisconnect.addListener(() => ports.delete(port));
+    port.onMessage.addListener(msg => {
+      if (msg?.kind === "seek" && engineLoaded) window.__groqTtsEngine?.seekTranscript(msg.index);
+    });
+    // Catch the panel up when it opens mid-reading
+    if (engineLoaded) window.__groqTtsEngine?.publishTranscriptState();
+  });
+
   // --- Handle messages from background ---
   chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     if (!msg) return false;
@@ -72,11 +93,17 @@
       return false;
     }
 
-    // Original activation messages
+    // Activation messages, keyboard commands and context menu actions
     if (engineLoaded) return false;
-    if (msg.type !== GROQ_MESSAGES.START && msg.type !== GROQ_MESSAGES.AGENT_START) return false;
+    if (msg.type !== GROQ_MESSAGES.START && msg.type !== GROQ_MESSAGES.AGENT_START
+      && msg.type !== GROQ_MESSAGES.COMMAND && msg.type !== GROQ_MESSAGES.CONTEXT_READ) return false;
 
-    window.__groqTtsStub.pending = { type: msg.type };
+    window.__groqTtsStub.pending = {
+      type: msg.type,
+      command: msg.command,
+      action: msg.action,
+      srcUrl: msg.srcUrl
+    };
     ensureEngine();
     sendResponse({ ok: true });
     return false;
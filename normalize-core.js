@@ -0,0 +1,336 @@
+/* Immersive Speak — rule-based text normalization for speech. Rewrites single
+   words ("$1.2M", "3/4", "2024-03-05", "FBI", URLs, emoji) into what should be
+   said, so TTS reads them well and STT timings can be mapped back: every page
+   word gets its own spoken form, possibly several words or none. Also holds the
+   user's pronunciation lexicon, which the service worker applies to each chunk.
+
+   The engine rewrites page words with it and the options page previews
+   rules, both through `GroqNormalizeCore`. */
+(() => {
+  // Opening and closing punctuation kept around the rewritten core of a word
+  const LEADING = /^[("'“‘«[{¿¡]+/u;
+  const TRAILING = /[)"'”’»\]},.;:!?…]+$/u;
+  const EMOJI = /[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{1F1E6}-\u{1F1FF}️‍⃣]/gu;
+
+  const MONTHS = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"
+  ];
+  // English-speaking regions that write dates day first
+  const DAY_FIRST_REGIONS = new Set(["GB", "IE", "AU", "NZ", "IN", "ZA"]);
+  const CURRENCIES = {
+    "$": ["dollar", "dollars"],
+    "€": ["euro", "euros"],
+    "£": ["pound", "pounds"],
+    "¥": ["yen", "yen"],
+    "₹": ["rupee", "rupees"]
+  };
+  const SCALES = { k: "thousand", m: "million", b: "billion", bn: "billion", t: "trillion" };
+  const DENOMINATORS = {
+    2: ["half", "halves"], 3: ["third", "thirds"], 4: ["quarter", "quarters"],
+    5: ["fifth", "fifths"], 6: ["sixth", "sixths"], 7: ["seventh", "sevenths"],
+    8: ["eighth", "eighths"], 9: ["ninth", "ninths"], 10: ["tenth", "tenths"]
+  };
+  const VULGAR_FRACTIONS = {
+    "½": "one half", "⅓": "one third", "⅔": "two thirds", "¼": "one quarter", "¾": "three quarters",
+    "⅕": "one fifth", "⅛": "one eighth", "⅜": "three eighths", "⅝": "five eighths", "⅞": "seven eighths"
+  };
+  const TOP_LEVEL_DOMAIN = /\.(?:com|org|net|edu|gov|io|dev|app|ai|co|uk|de|fr|info|me|tv|ly)(?:\/\S*)?$/i;
+
+  const plural = (amount, [one, many]) => (amount === "1" ? one : many);
+  const spellHost = host => host.replace(/^www\./i, "").split(".").filter(Boolean).join(" dot ");
+
+  /**
+   * Built-in rules in the order they run. Each takes the core of a word (its
+   * surrounding punctuation removed) and returns the spoken form, or null when
+   * it does not apply. They are written for English and skipped for other languages.
+   */
+  const BUILTIN_RULES = [
+    {
+      id: "emoji",
+      apply: core => {
+        const stripped = core.replace(EMOJI, "");
+        return stripped === core ? null : stripped;
+      }
+    },
+    {
+      id: "urls",
+      apply: core => {
+        const email = /^([^@\s]+)@([^@\s]+\.[a-z]{2,})$/i.exec(core);
+        if (email) return `${email[1].replace(/[._]/g, " ")} at ${spellHost(email[2])}`;
+        const url = /^(?:https?:\/\/)?((?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+)(?::\d+)?(?:[/?#]\S*)?$/i.exec(core);
+        if (!url) return null;
+        if (!/^(?:https?:\/\/|www\.)/i.test(core) && !TOP_LEVEL_DOMAIN.test(core)) return null;
+        return spellHost(url[1]);
+      }
+    },
+    {
+      id: "dates",
+      apply: (core, context) => {
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(core);
+        const slashed = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(core);
+        let year;
+        let month;
+        let day;
+        if (iso) [, year, month, day] = iso;
+        else if (slashed && context.dayFirst) [, day, month, year] = slashed;
+        else if (slashed) [, month, day, year] = slashed;
+        else return null;
+        month = Number(month);
+        day = Number(day);
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return context.dayFirst ? `${day} ${MONTHS[month - 1]} ${year}` : `${MONTHS[month - 1]} ${day}, ${year}`;
+      }
+    },
+    {
+      id: "currency",
+      apply: core => {
+        const match = /^([$€£¥₹])(\d[\d,]*)(?:\.(\d+))?(k|m|bn|b|t)?$/i.exec(core);
+        if (!match) return null;
+        const [, symbol, whole, fraction, scale] = match;
+        const names = CURRENCIES[symbol];
+        const amount = whole.replace(/,/g, "");
+        if (scale) {
+          return `${amount}${fraction ? `.${fraction}` : ""} ${SCALES[scale.toLowerCase()]} ${names[1]}`;
+        }
+        if (fraction && fraction.length === 2 && (symbol === "$" || symbol === "€" || symbol === "£")) {
+          const cents = String(Number(fraction));
+          const minor = symbol === "£" ? ["penny", "pence"] : ["cent", "cents"];
+          if (cents === "0") return `${amount} ${plural(amount, names)}`;
+          return `${amount} ${plural(amount, names)} ${cents} ${plural(cents, minor)}`;
+        }
+        const value = fraction ? `${amount}.${fraction}` : amount;
+        return `${value} ${plural(value, names)}`;
+      }
+    },
+    {
+      id: "numbers",
+      apply: core => {
+        const scaled = /^(\d+(?:\.\d+)?)(k|m|bn|b)$/i.exec(core);
+        if (scaled) return `${scaled[1]} ${SCALES[scaled[2].toLowerCase()]}`;
+        const percent = /^(\d+(?:\.\d+)?)%$/.exec(core);
+        if (percent) return `${percent[1]} percent`;
+        const range = /^(\d+(?:\.\d+)?)[-–](\d+(?:\.\d+)?)$/.exec(core);
+        if (range) return `${range[1]} to ${range[2]}`;
+        const ordinal = /^#(\d+)$/.exec(core);
+        if (ordinal) return `number ${ordinal[1]}`;
+        return null;
+      }
+    },
+    {
+      id: "fractions",
+      apply: core => {
+        if (VULGAR_FRACTIONS[core]) return VULGAR_FRACTIONS[core];
+        const match = /^(\d+)\/(\d+)$/.exec(core);
+        const names = match && DENOMINATORS[Number(match[2])];
+        if (!names) return null;
+        return `${match[1] === "1" ? "one" : match[1]} ${plural(match[1], names)}`;
+      }
+    },
+    {
+      id: "acronyms",
+      apply: (core, context) => {
+        if (context.shouting) return null;
+        const dotted = /^[A-Z](?:\.[A-Z])+\.?$/.exec(core);
+        if (dotted) return core.replace(/\./g, " ").trim();
+        const match = /^([A-Z]{2,5})(s?)$/.exec(core);
+        if (!match) return null;
+        // Words with vowels and four or more letters are usually said as words (NASA, NATO)
+        if (match[1].length >= 4 && /[AEIOU]/.test(match[1])) return null;
+        return `${match[1].split("").join(" ")}${match[2]}`;
+      }
+    },
+    {
+      id: "symbols",
+      apply: core => (/[A-Za-z]&[A-Za-z]/.test(core) ? core.replace(/&/g, " and ") : null)
+    }
+  ];
+
+  const BUILTIN_IDS = BUILTIN_RULES.map(rule => rule.id);
+
+  /** `{ pattern, flags }` → RegExp, or null when the pattern is missing or invalid. */
+  function compileRule(rule) {
+    if (!rule || rule.enabled === false || !rule.pattern) return null;
+    try {
+      const flags = new Set(`u${String(rule.flags || "").replace(/[^gimsuy]/g, "")}`);
+      return new RegExp(rule.pattern, [...flags].join(""));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** Lower case without surrounding punctuation, for matching words against lexicon terms. */
+  const bareWord = text => String(text || "").replace(LEADING, "").replace(TRAILING, "").toLowerCase();
+
+  const isEnglish = lang => !lang || /^en(?:$|[-_])/i.test(lang);
+
+  /**
+   * Normalizer for one language: `(word, context) → spoken`. `options.builtins`
+   * maps rule ids to false to turn them off; `options.rules` are user rules
+   * `{ pattern, replacement, flags, enabled }` applied to the whole word first.
+   * A word a user rule changed is not touched by the built-in rules.
+   */
+  function createNormalizer(options = {}) {
+    const lang = options.lang || "";
+    const region = (/[-_]([A-Za-z]{2})\b/.exec(lang) || [])[1];
+    const dayFirst = Boolean(region && DAY_FIRST_REGIONS.has(region.toUpperCase()));
+    const builtins = isEnglish(lang)
+      ? BUILTIN_RULES.filter(rule => options.builtins?.[rule.id] !== false)
+      : [];
+    const userRules = (Array.isArray(options.rules) ? options.rules : [])
+      .map(rule => ({ regex: compileRule(rule), replacement: String(rule?.replacement ?? "") }))
+      .filter(rule => rule.regex);
+
+    return (word, context = {}) => {
+      const text = String(word ?? "");
+      let rewritten = text;
+      for (const rule of userRules) {
+        rule.regex.lastIndex = 0;
+        rewritten = rewritten.replace(rule.regex, rule.replacement);
+      }
+      if (rewritten !== text || !builtins.length) return rewritten;
+
+      const lead = (LEADING.exec(text) || [""])[0];
+      const rest = text.slice(lead.length);
+      const trail = (TRAILING.exec(rest) || [""])[0];
+      let core = rest.slice(0, rest.length - trail.length);
+      // A lone "." or "…" is punctuation, not a word to rewrite
+      if (!core) return text;
+      const ruleContext = { dayFirst, shouting: Boolean(context.shouting) };
+      for (const rule of builtins) {
+        const spoken = rule.apply(core, ruleContext);
+        if (spoken == null) continue;
+        core = spoken;
+        if (rule.id !== "emoji") break;
+        if (!core) return "";
+      }
+      return `${lead}${core}${trail}`;
+    };
+  }
+
+  /** True when most words are upper case, like a headline in caps, so acronyms can't be told apart. */
+  function isShouting(words) {
+    const lettered = words.filter(word => /\p{L}/u.test(word));
+    if (lettered.length < 3) return false;
+    const upper = lettered.filter(word => /\p{Lu}/u.test(word) && !/\p{Ll}/u.test(word));
+    return upper.length / lettered.length > 0.6;
+  }
+
+  /**
+   * Spoken form of every word in `words` (strings), in order. Words whose
+   * index is in `options.keep`, such as lexiconMatches of a lexicon, are left
+   * as written.
+   */
+  function normalizeWords(words, options = {}) {
+    const normalize = createNormalizer(options);
+    const keep = options.keep instanceof Set ? options.keep : new Set(options.keep || []);
+    const context = { shouting: isShouting(words) };
+    return words.map((word, i) => (keep.has(i) ? String(word ?? "") : normalize(word, context)));
+  }
+
+  // ─── Pronunciation lexicon ──────────────────────────────────────────
+
+  /** Site of a lexicon entry: "" for every site, otherwise a host name without "www.". */
+  const lexiconSite = site => String(site || "").trim().toLowerCase().replace(/^www\./, "");
+
+  /**
+   * `{ term, spoken, site }` entries that apply on `hostname`, ready for
+   * applyLexicon. A site's own entry replaces a global one for the same term,
+   * and `example.com` also covers its subdomains. Longer terms come first so
+   * "Groq Cloud" wins over "Groq".
+   */
+  function lexiconForSite(entries, hostname) {
+    const host = lexiconSite(hostname);
+    const byTerm = new Map();
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const term = String(entry?.term || "").trim();
+      const spoken = String(entry?.spoken || "").trim();
+      const site = lexiconSite(entry?.site);
+      if (!term || !spoken) continue;
+      if (site && host !== site && !host.endsWith(`.${site}`)) continue;
+      const tokens = term.split(/\s+/).map(bareWord);
+      if (!tokens.every(Boolean)) continue;
+      const key = tokens.join(" ");
+      const existing = byTerm.get(key);
+      if (!existing || (site && !existing.site)) byTerm.set(key, { term, spoken, site, tokens });
+    }
+    return [...byTerm.values()].sort((a, b) => b.tokens.length - a.tokens.length);
+  }
+
+  /** Lexicon entry whose term starts at bare word `i`, or undefined. */
+  const lexiconTermAt = (bare, i, lexicon) =>
+    lexicon.find(entry => entry.tokens.every((token, k) => bare[i + k] === token));
+
+  /**
+   * Indices of the words (strings) that applyLexicon would replace, for
+   * normalizeWords' `keep`: only whole matched terms, not every word that
+   * happens to appear in one.
+   */
+  function lexiconMatches(words, lexicon) {
+    const matched = new Set();
+    if (!lexicon?.length) return matched;
+    const bare = words.map(bareWord);
+    for (let i = 0; i < bare.length;) {
+      const entry = lexiconTermAt(bare, i, lexicon);
+      if (!entry) {
+        i += 1;
+        continue;
+      }
+      for (let k = 0; k < entry.tokens.length; k++) matched.add(i + k);
+      i += entry.tokens.length;
+    }
+    return matched;
+  }
+
+  /**
+   * Replace lexicon terms in `text`, whose words `{ start, end, text }` come
+   * from segmentWords. Matching ignores case and surrounding punctuation, which
+   * is kept. Returns the text to synthesize, the words with the `spoken` form of
+   * each (the first word of a term carries all of it) and the entries applied.
+   */
+  function applyLexicon(text, words, lexicon) {
+    const source = String(text || "");
+    if (!lexicon?.length || !words.length) return { text: source, words, applied: [] };
+    const bare = words.map(word => bareWord(word.text));
+    const spokenWords = [];
+    const applied = [];
+    let out = "";
+    let cursor = 0;
+    for (let i = 0; i < words.length;) {
+      const entry = lexiconTermAt(bare, i, lexicon);
+      if (!entry) {
+        spokenWords.push(words[i]);
+        i += 1;
+        continue;
+      }
+      const first = words[i];
+      const last = words[i + entry.tokens.length - 1];
+      const lead = (LEADING.exec(first.text) || [""])[0];
+      const trail = (TRAILING.exec(last.text) || [""])[0];
+      out += `${source.slice(cursor, first.start)}${lead}${entry.spoken}${trail}`;
+      cursor = last.end;
+      entry.tokens.forEach((_, k) => {
+        spokenWords.push({ ...words[i + k], spoken: k ? "" : `${lead}${entry.spoken}${trail}` });
+      });
+      if (!applied.some(a => a.term === entry.term && a.spoken === entry.spoken)) {
+        applied.push({ term: entry.term, spoken: entry.spoken });
+      }
+      i += entry.tokens.length;
+    }
+    if (!applied.length) return { text: source, words, applied };
+    return { text: out + source.slice(cursor), words: spokenWords, applied };
+  }
+
+  const api = {
+    BUILTIN_IDS,
+    createNormalizer,
+    normalizeWords,
+    isShouting,
+    lexiconForSite,
+    lexiconMatches,
+    applyLexicon
+  };
+
+  globalThis.GroqNormalizeCore = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
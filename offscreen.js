@@ -0,0 +1,104 @@
+/* Immersive Speak — offscreen reading-queue player. Background creates this
+   document while the queue plays and closes it to stop; each QUEUE_PLAY item
+   arrives as parts of ready-made chunk texts, which stream over the same TTS
+   port the engine uses and play back to back in one Audio element.
+   Offscreen documents only get chrome.runtime, so the page URL (for the
+   lexicon and cache) and the site's playback rate come with the item. */
+
+// The item being played: { id, audio, port, stopped }
+let current = null;
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.type !== GROQ_MESSAGES.QUEUE_PLAY) return;
+  playItem(msg);
+  sendResponse({ ok: true });
+});
+
+async function playItem({ id, parts, pageUrl, rate }) {
+  stopItem();
+  const item = { id, audio: new Audio(), port: null, stopped: false };
+  current = item;
+
+  for (const part of Array.isArray(parts) ? parts : []) {
+    try {
+      await playPart(item, part, pageUrl, rate);
+    } catch (err) {
+      // A failed item is skipped, like an unreadable page
+      console.warn("[Immersive Speak] queue playback:", err);
+      break;
+    }
+    if (item.stopped) return;
+  }
+  if (item.stopped) return;
+  current = null;
+  chrome.runtime.sendMessage({ type: GROQ_MESSAGES.QUEUE_DONE, id }).catch(() => {});
+}
+
+function stopItem() {
+  if (!current) return;
+  current.stopped = true;
+  current.audio.pause();
+  try { current.port?.disconnect(); } catch (_) {}
+  current = null;
+}
+
+/** Stream one part's chunks and play them in order; resolves after the last one. */
+function playPart(item, { chunks, lang }, pageUrl, rate) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let next = 0;
+    let playing = false;
+    let settled = false;
+
+    const port = chrome.runtime.connect({ name: GROQ_MESSAGES.PORT });
+    item.port = port;
+
+    const settle = err => {
+      if (settled) return;
+      settled = true;
+      try { port.disconnect(); } catch (_) {}
+      if (err) reject(err);
+      else resolve();
+    };
+
+    const playNext = async () => {
+      if (playing || settled || item.stopped) return;
+      if (next >= chunks.length) { settle(null); return; }
+      const result = results[next];
+      if (!result) return;
+      playing = true;
+      results[next] = null;
+      port.postMessage({ type: "position", index: next });
+      await playResult(item.audio, result, rate);
+      next += 1;
+      playing = false;
+      playNext();
+    };
+
+    port.onMessage.addListener(msg => {
+      if (msg?.type === "chunk" && Number.isInteger(msg.index)) {
+        results[msg.index] = msg.result;
+        playNext();
+      } else if (msg?.type === "error") {
+        settle(new Error(msg.error || "TTS request failed"));
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      if (next < chunks.length) settle(new Error("TTS port disconnected"));
+    });
+    port.postMessage({ type: "start", chunks, lang, paced: true, pageUrl });
+  });
+}
+
+/** Play one port result `{ audio (base64), mime }`; resolves when it ends or fails. */
+function playResult(audio, result, rate) {
+  return new Promise(resolve => {
+    audio.onended = () => resolve();
+    audio.onerror = () => resolve();
+    audio.src = `data:${result.mime || "audio/wav"};base64,${result.audio}`;
+    audio.defaultPlaybackRate = rate || 1;
+    audio.playbackRate = rate || 1;
+    audio.preservesPitch = true;
+    audio.play().catch(() => resolve());
+  });
+}
@@ -1,10 +1,11 @@
 const ids = Object.keys(GROQ_DEFAULTS);
-const MIN_CHARS = 50;
-const MAX_CHARS = 1000;
+// Data the user builds up — per-site speeds, pronunciations, language voices and custom rules — survives a reset
+const RESET_KEEP_KEYS = new Set(["playback_rates", "pronunciations", "language_voices", "normalization_rules"]);
 
 document.addEventListener("DOMContentLoaded", () => {
   // Apply i18n to all elements with data-i18n attribute
   applyI18n();
+  populateProviders();
 
   // Auto-detect STT language if not set
   chrome.storage.local.get(GROQ_DEFAULTS, values => {
@@ -21,6 +22,40 @@ document.addEventListener("DOMContentLoaded", () => {
       const detected = detectBrowserLanguage();
       if (detected) langInput.placeholder = detected + " (auto)";
     }
+
+    applyProviderFields();
+    renderLanguageVoices(values.language_voices);
+    renderNormalization(values.text_normalization, values.normalization_rules);
+    renderPronunciations(values.pronunciations);
+  });
+
+  document.getElementById("add-pronunciation-btn").addEventListener("click", () => {
+    const row = addPronunciationRow({});
+    row.querySelector("input").focus();
+  });
+  document.getElementById("export-pronunciations-btn").addEventListener("click", exportPronunciations);
+  const importFile = document.getElementById("import-pronunciations-file");
+  document.getElementById("import-pronunciations-btn").addEventListener("click", () => importFile.click());
+  importFile.addEventListener("change", () => {
+    const [file] = importFile.files;
+    importFile.value = "";
+    if (file) importPronunciations(file);
+  });
+
+  document.getElementById("add-rule-btn").addEventListener("click", () => {
+    const row = addNormalizationRuleRow({});
+    row.querySelector("input").focus();
+  });
+  document.getElementById("options-form").addEventListener("input", updateNormalizationPreview);
+  document.getElementById("options-form").addEventListener("change", updateNormalizationPreview);
+
+  document.getElementById("add-language-btn").addEventListener("click", () => {
+    const row = addLanguageVoiceRow({});
+    row.querySelector("input").focus();
+  });
+
+  document.getElementById("tts_provider").addEventListener("change", () => {
+    applyProviderFields({ resetChoices: true });
   });
 
   document.getElementById("options-form").addEventListener("submit", event => {
@@ -29,13 +64,16 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   document.getElementById("reset-btn").addEventListener("click", () => {
-    for (const id of ids) {
+    const defaults = Object.fromEntries(ids.filter(id => !RESET_KEEP_KEYS.has(id)).map(id => [id, GROQ_DEFAULTS[id]]));
+    for (const id of Object.keys(defaults)) {
       const el = document.getElementById(id);
       if (!el) continue;
       if (el.type === "checkbox") el.checked = Boolean(GROQ_DEFAULTS[id]);
       else el.value = GROQ_DEFAULTS[id];
     }
-    chrome.storage.local.set(GROQ_DEFAULTS, () => {
+    applyProviderFields();
+    renderNormalization(GROQ_DEFAULTS.text_normalization, readNormalizationRules());
+    chrome.storage.local.set(defaults, () => {
       showStatus(i18n("statusDefaultsRestored"));
     });
   });
@@ -46,12 +84,18 @@ document.addEventListener("DOMContentLoaded", () => {
     clearCacheBtn.addEventListener("click", () => {
       chrome.runtime.sendMessage({ type: "cache-clear" }, () => {
         showCacheStatus(i18n("cacheCleared"));
-        refreshCacheCount();
+        refreshCacheSummary();
       });
     });
   }
 
-  refreshCacheCount();
+  refreshCacheSummary();
+
+  // Keyboard shortcuts
+  document.getElementById("edit-shortcuts-btn")?.addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+  renderShortcuts();
 });
 
 function saveOptions() {
@@ -62,15 +106,19 @@ function saveOptions() {
     if (el.type === "checkbox") {
       payload[id] = el.checked;
     } else if (el.type === "number") {
-      const raw = Number(el.value);
+      const raw = el.value === "" ? NaN : Number(el.value);
       const fallback = GROQ_DEFAULTS[id];
       const value = Number.isFinite(raw) ? raw : fallback;
-      const clamped = clampNumber(value, MIN_CHARS, MAX_CHARS);
+      const clamped = clampNumber(value, Number(el.min), Number(el.max));
       payload[id] = clamped;
       el.value = clamped;
     }
     else payload[id] = el.value.trim();
   }
+  payload.language_voices = readLanguageVoices();
+  payload.text_normalization = readNormalizationBuiltins();
+  payload.normalization_rules = readNormalizationRules();
+  payload.pronunciations = readPronunciations();
 
   // Auto-detect language if empty
   if (!payload.stt_language) {
@@ -81,8 +129,335 @@ function saveOptions() {
     }
   }
 
+  // Must run inside the submit gesture, before any async work
+  const access = requestHostPermissions(payload);
+
   chrome.storage.local.set(payload, () => {
-    showStatus(i18n("statusSaved"));
+    access.then(status => showStatus(i18n(status)));
+  });
+}
+
+function populateProviders() {
+  const select = document.getElementById("tts_provider");
+  if (!select) return;
+  for (const [id, provider] of Object.entries(GroqProviders.TTS_PROVIDERS)) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = provider.label;
+    select.appendChild(option);
+  }
+}
+
+/** Sync placeholders, suggestions and format choices with the selected provider. */
+function applyProviderFields({ resetChoices } = {}) {
+  const settings = { tts_provider: document.getElementById("tts_provider").value };
+  const provider = GroqProviders.resolveTtsProvider(settings);
+
+  document.getElementById("tts_base_url").placeholder = provider.baseUrl;
+  document.getElementById("tts-api-key-field").hidden = provider.auth === "none" || provider.usesGroqKey;
+  fillDatalist("tts-model-list", provider.models);
+  fillDatalist("tts-voice-list", provider.voices);
+
+  const model = document.getElementById("tts_model");
+  const voice = document.getElementById("tts_voice");
+  model.placeholder = provider.models[0] || "";
+  voice.placeholder = provider.voices[0] || "";
+  if (resetChoices) {
+    document.getElementById("tts_base_url").value = "";
+    if (!provider.models.includes(model.value)) model.value = provider.models[0] || "";
+    if (!provider.voices.includes(voice.value)) voice.value = provider.voices[0] || "";
+  }
+
+  const format = document.getElementById("tts_format");
+  for (const option of format.options) {
+    option.disabled = !provider.formats.includes(option.value);
+  }
+  if (!provider.formats.includes(format.value)) format.value = provider.formats[0];
+}
+
+// ─── Language voices ─────────────────────────────────────────────────
+
+const LANGUAGE_VOICE_FIELDS = [
+  { key: "lang", placeholder: "ja", labelKey: "labelLanguageTag" },
+  { key: "tts_model", list: "tts-model-list", labelKey: "labelTtsModel" },
+  { key: "tts_voice", list: "tts-voice-list", labelKey: "labelVoice" },
+  { key: "stt_language", placeholder: "ja", labelKey: "labelSttLanguage" }
+];
+
+function renderLanguageVoices(rows) {
+  document.getElementById("language-voices-rows").textContent = "";
+  for (const row of Array.isArray(rows) ? rows : []) addLanguageVoiceRow(row);
+}
+
+function addLanguageVoiceRow(values) {
+  const row = document.createElement("div");
+  row.className = "language-voice-row";
+  for (const field of LANGUAGE_VOICE_FIELDS) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.dataset.key = field.key;
+    input.value = values[field.key] || "";
+    input.setAttribute("aria-label", i18n(field.labelKey));
+    input.placeholder = field.placeholder || i18n(field.labelKey);
+    if (field.list) input.setAttribute("list", field.list);
+    row.appendChild(input);
+  }
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "secondary";
+  remove.textContent = i18n("btnRemove");
+  remove.addEventListener("click", () => row.remove());
+  row.appendChild(remove);
+  document.getElementById("language-voices-rows").appendChild(row);
+  return row;
+}
+
+/** Rows with a language tag, trimmed; rows without one are dropped. */
+function readLanguageVoices() {
+  const rows = [];
+  for (const row of document.querySelectorAll(".language-voice-row")) {
+    const entry = {};
+    for (const input of row.querySelectorAll("input")) {
+      entry[input.dataset.key] = input.value.trim();
+    }
+    if (entry.lang) rows.push(entry);
+  }
+  return rows;
+}
+
+// ─── Speech normalization ────────────────────────────────────────────
+
+function renderNormalization(builtins, rules) {
+  const container = document.getElementById("normalization-builtins");
+  container.textContent = "";
+  for (const id of GroqNormalizeCore.BUILTIN_IDS) {
+    const label = document.createElement("label");
+    label.className = "checkbox";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.dataset.rule = id;
+    input.checked = builtins?.[id] !== false;
+    const text = document.createElement("span");
+    text.textContent = i18n(`normalization_${id}`);
+    label.append(input, text);
+    container.appendChild(label);
+  }
+
+  document.getElementById("normalization-rules-rows").textContent = "";
+  for (const rule of Array.isArray(rules) ? rules : []) addNormalizationRuleRow(rule);
+  updateNormalizationPreview();
+}
+
+function addNormalizationRuleRow(values) {
+  const row = document.createElement("div");
+  row.className = "normalization-rule-row";
+  for (const [key, labelKey] of [["pattern", "labelRulePattern"], ["replacement", "labelRuleReplacement"], ["flags", "labelRuleFlags"]]) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.dataset.key = key;
+    input.value = values[key] || "";
+    input.placeholder = key === "flags" ? "i" : i18n(labelKey);
+    input.setAttribute("aria-label", i18n(labelKey));
+    if (key === "pattern") input.spellcheck = false;
+    row.appendChild(input);
+  }
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "secondary";
+  remove.textContent = i18n("btnRemove");
+  remove.addEventListener("click", () => {
+    row.remove();
+    updateNormalizationPreview();
+  });
+  row.appendChild(remove);
+  document.getElementById("normalization-rules-rows").appendChild(row);
+  return row;
+}
+
+/** Only the turned-off rules are stored, so rules added later start enabled. */
+function readNormalizationBuiltins() {
+  const builtins = {};
+  for (const input of document.querySelectorAll("#normalization-builtins input")) {
+    if (!input.checked) builtins[input.dataset.rule] = false;
+  }
+  return builtins;
+}
+
+/** Rows with a pattern; the pattern is kept as typed, an invalid one is ignored when reading. */
+function readNormalizationRules() {
+  const rules = [];
+  for (const row of document.querySelectorAll(".normalization-rule-row")) {
+    const rule = {};
+    for (const input of row.querySelectorAll("input")) rule[input.dataset.key] = input.value;
+    rule.flags = rule.flags.trim();
+    if (rule.pattern) rules.push(rule);
+  }
+  return rules;
+}
+
+function updateNormalizationPreview() {
+  const text = document.getElementById("normalization-preview-input").value;
+  const spoken = GroqNormalizeCore.normalizeWords(text.split(/\s+/).filter(Boolean), {
+    // The built-in rules are English only; preview them in the browser's English variant
+    lang: /^en\b/i.test(navigator.language) ? navigator.language : "en",
+    builtins: readNormalizationBuiltins(),
+    rules: readNormalizationRules()
+  });
+  document.getElementById("normalization-preview").textContent = spoken.filter(Boolean).join(" ");
+}
+
+// ─── Pronunciations ──────────────────────────────────────────────────
+
+const PRONUNCIATION_FIELDS = [
+  { key: "term", labelKey: "labelPronunciationTerm" },
+  { key: "spoken", labelKey: "labelPronunciationSpoken" },
+  { key: "site", labelKey: "labelPronunciationSite" }
+];
+
+/** Global entries first, then each site's, alphabetically. */
+function renderPronunciations(entries) {
+  document.getElementById("pronunciation-rows").textContent = "";
+  const sorted = (Array.isArray(entries) ? entries : []).slice().sort((a, b) =>
+    (a.site || "").localeCompare(b.site || "") || String(a.term).localeCompare(String(b.term)));
+  for (const entry of sorted) addPronunciationRow(entry);
+}
+
+function addPronunciationRow(values) {
+  const row = document.createElement("div");
+  row.className = "pronunciation-row";
+  for (const field of PRONUNCIATION_FIELDS) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.dataset.key = field.key;
+    input.value = values[field.key] || "";
+    input.placeholder = i18n(field.key === "site" ? "placeholderAllSites" : field.labelKey);
+    input.setAttribute("aria-label", i18n(field.labelKey));
+    row.appendChild(input);
+  }
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "secondary";
+  remove.textContent = i18n("btnRemove");
+  remove.addEventListener("click", () => row.remove());
+  row.appendChild(remove);
+  document.getElementById("pronunciation-rows").appendChild(row);
+  return row;
+}
+
+/** Rows with both a term and a spoken form, trimmed; the site is a bare host name. */
+function readPronunciations() {
+  const entries = [];
+  for (const row of document.querySelectorAll(".pronunciation-row")) {
+    const entry = {};
+    for (const input of row.querySelectorAll("input")) entry[input.dataset.key] = input.value.trim();
+    entry.site = pronunciationSite(entry.site);
+    if (entry.term && entry.spoken) entries.push(entry);
+  }
+  return entries;
+}
+
+/** "https://www.example.com/page" or "www.example.com" → "example.com". */
+function pronunciationSite(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (!text) return "";
+  try {
+    return new URL(text.includes("://") ? text : `https://${text}`).hostname.replace(/^www\./, "");
+  } catch (_) {
+    return text;
+  }
+}
+
+function exportPronunciations() {
+  const json = JSON.stringify(readPronunciations(), null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "immersive-speak-pronunciations.json";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Merge a JSON file (an array of entries, or `{ pronunciations: [...] }`) into
+ * the list and save it: imported entries replace ones with the same term and site.
+ */
+async function importPronunciations(file) {
+  let imported;
+  try {
+    const parsed = JSON.parse(await file.text());
+    imported = Array.isArray(parsed) ? parsed : parsed?.pronunciations;
+    if (!Array.isArray(imported)) throw new Error("not a list");
+  } catch (_) {
+    showPronunciationStatus(i18n("statusImportFailed"));
+    return;
+  }
+
+  const keyOf = entry => `${pronunciationSite(entry.site)}\n${String(entry.term).trim().toLowerCase()}`;
+  const merged = new Map(readPronunciations().map(entry => [keyOf(entry), entry]));
+  let count = 0;
+  for (const entry of imported) {
+    const term = String(entry?.term || "").trim();
+    const spoken = String(entry?.spoken || "").trim();
+    if (!term || !spoken) continue;
+    const clean = { term, spoken, site: pronunciationSite(entry.site) };
+    merged.set(keyOf(clean), clean);
+    count += 1;
+  }
+  const pronunciations = [...merged.values()];
+  renderPronunciations(pronunciations);
+  chrome.storage.local.set({ pronunciations }, () => {
+    showPronunciationStatus(i18n("statusPronunciationsImported", [String(count)]));
+  });
+}
+
+function showPronunciationStatus(text) {
+  const status = document.getElementById("pronunciation-status");
+  status.textContent = text;
+  setTimeout(() => { status.textContent = ""; }, 2000);
+}
+
+function fillDatalist(id, values) {
+  const list = document.getElementById(id);
+  if (!list) return;
+  list.textContent = "";
+  for (const value of values) {
+    const option = document.createElement("option");
+    option.value = value;
+    list.appendChild(option);
+  }
+}
+
+/** Ask for access to the TTS provider and Groq API origins when they are not the built-in host. */
+/**
+ * Ask for the configured endpoints' origins only, and resolve with the status
+ * message to show. The manifest lists the hosts that may be asked for: the
+ * providers' own and local servers.
+ */
+function requestHostPermissions(settings) {
+  const origins = new Set();
+  for (const url of [GroqProviders.ttsBaseUrl(settings), GroqProviders.groqApiBase(settings)]) {
+    try {
+      const origin = new URL(url).origin;
+      if (origin !== "https://api.groq.com") origins.add(origin);
+    } catch (_) {}
+  }
+  if (!origins.size) return Promise.resolve("statusSaved");
+  if (![...origins].every(isRequestableOrigin)) return Promise.resolve("statusHostUnsupported");
+  return new Promise(resolve => {
+    chrome.permissions.request({ origins: [...origins].map(origin => `${origin}/*`) }, granted => {
+      resolve(granted && !chrome.runtime.lastError ? "statusSaved" : "statusPermissionDenied");
+    });
+  });
+}
+
+/** Whether an origin matches one of the manifest's optional host patterns (ports are not part of them). */
+function isRequestableOrigin(origin) {
+  const { protocol, hostname } = new URL(origin);
+  return (chrome.runtime.getManifest().optional_host_permissions || []).some(pattern => {
+    const match = /^([a-z]+):\/\/([^/]+)\//.exec(pattern);
+    if (!match || `${match[1]}:` !== protocol) return false;
+    const host = match[2];
+    return host.startsWith("*.") ? hostname.endsWith(host.slice(1)) : hostname === host;
   });
 }
 
@@ -104,12 +479,102 @@ function showCacheStatus(text) {
   }
 }
 
-function refreshCacheCount() {
-  chrome.runtime.sendMessage({ type: "cache-count" }, response => {
-    const count = response?.count || 0;
-    const status = document.getElementById("cache-status");
-    if (status && !status.textContent) {
-      status.textContent = i18n("cacheEntries", [String(count)]);
+// ─── Cache browser ───────────────────────────────────────────────────
+
+function refreshCacheSummary() {
+  chrome.runtime.sendMessage({ type: "cache-summary" }, response => {
+    const groups = response?.ok ? response.groups : [];
+    renderCacheGroups(groups);
+    document.getElementById("cache-total").textContent =
+      i18n("cacheTotals", [String(response?.count || 0), formatBytes(response?.bytes || 0)]);
+  });
+}
+
+/** One heading row per site, then a deletable row per provider, model and voice. */
+function renderCacheGroups(groups) {
+  const table = document.getElementById("cache-table");
+  const body = document.getElementById("cache-rows");
+  body.textContent = "";
+  table.hidden = !groups.length;
+
+  const bySite = new Map();
+  for (const group of groups) {
+    if (!bySite.has(group.origin)) bySite.set(group.origin, []);
+    bySite.get(group.origin).push(group);
+  }
+  const sites = [...bySite.keys()].sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+
+  for (const origin of sites) {
+    const rows = bySite.get(origin).sort((a, b) => b.lastUsed - a.lastUsed);
+    const siteRow = document.createElement("tr");
+    siteRow.className = "cache-site";
+    siteRow.append(
+      cacheCell(origin || i18n("cacheUnknownSite"), 3),
+      cacheCell(String(rows.reduce((sum, g) => sum + g.count, 0))),
+      cacheCell(formatBytes(rows.reduce((sum, g) => sum + g.bytes, 0))),
+      cacheCell(""),
+      cacheDeleteCell({ origin }, i18n("btnDeleteSite"))
+    );
+    body.appendChild(siteRow);
+
+    for (const group of rows) {
+      const row = document.createElement("tr");
+      const model = group.provider === GroqProviders.DEFAULT_TTS_PROVIDER ? group.model : `${group.provider} · ${group.model}`;
+      row.append(
+        cacheCell(""),
+        cacheCell(model),
+        cacheCell(group.voice),
+        cacheCell(String(group.count)),
+        cacheCell(formatBytes(group.bytes)),
+        cacheCell(group.lastUsed ? new Date(group.lastUsed).toLocaleString() : ""),
+        cacheDeleteCell({ origin, provider: group.provider, model: group.model, voice: group.voice }, i18n("btnDelete"))
+      );
+      body.appendChild(row);
+    }
+  }
+}
+
+function cacheCell(text, colSpan = 1) {
+  const cell = document.createElement("td");
+  cell.textContent = text;
+  cell.colSpan = colSpan;
+  return cell;
+}
+
+function cacheDeleteCell(filter, label) {
+  const cell = document.createElement("td");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "secondary";
+  button.textContent = label;
+  button.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ type: "cache-delete", filter }, response => {
+      showCacheStatus(i18n("cacheDeleted", [String(response?.deleted || 0)]));
+      refreshCacheSummary();
+    });
+  });
+  cell.appendChild(button);
+  return cell;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function renderShortcuts() {
+  const list = document.getElementById("shortcut-list");
+  if (!list || !chrome.commands?.getAll) return;
+  chrome.commands.getAll(commands => {
+    list.textContent = "";
+    for (const command of commands) {
+      if (!command.description) continue;
+      const dt = document.createElement("dt");
+      dt.textContent = command.description;
+      const dd = document.createElement("dd");
+      dd.textContent = command.shortcut || i18n("shortcutUnset");
+      list.append(dt, dd);
     }
   });
 }
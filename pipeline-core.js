@@ -0,0 +1,114 @@
+/* Immersive Speak — bounded-concurrency chunk pipeline; the service worker
+   runs one per TTS port through `GroqPipelineCore`. Up to `concurrency`
+   chunk tasks run at once, never more than `lookahead` chunks past the one
+   playing, and results are delivered strictly in chunk order. */
+(() => {
+  const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+  // A failure of the consumer's `deliver`, not of the chunk task, so callers can tell the two apart
+  const deliveryError = (index, cause) => {
+    const err = new Error(`Delivering chunk ${index} failed: ${cause?.message || cause}`, { cause });
+    err.name = "DeliveryError";
+    return err;
+  };
+
+  /**
+   * `task(index, signal)` produces chunk `index`; `deliver(index, result)` is
+   * called in order 0…count-1. `advance(index)` reports the chunk now playing and
+   * opens the window up to `index + lookahead`; before any report the window is
+   * the first `lookahead` chunks. Pass `lookahead: Infinity` when nobody plays
+   * the results (export). `run()` resolves once every chunk is delivered and
+   * rejects with the first task error, a DeliveryError when `deliver` throws,
+   * or an AbortError when `signal` aborts.
+   */
+  const createChunkPipeline = ({ count, concurrency = 1, lookahead = Infinity, task, deliver, signal }) => {
+    const results = new Map();
+    let position = -1;
+    let next = 0;
+    let active = 0;
+    let delivered = 0;
+    let settled = false;
+    let started = false;
+    let resolveRun;
+    let rejectRun;
+    const done = new Promise((resolve, reject) => {
+      resolveRun = resolve;
+      rejectRun = reject;
+    });
+
+    const settle = err => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener?.("abort", onAbort);
+      if (err) rejectRun(err);
+      else resolveRun();
+    };
+    const onAbort = () => settle(abortError());
+
+    const windowEnd = () => Math.min(count, position + 1 + Math.max(1, lookahead));
+
+    const flush = () => {
+      while (!settled && results.has(delivered)) {
+        const result = results.get(delivered);
+        results.delete(delivered);
+        try {
+          deliver(delivered, result);
+        } catch (err) {
+          settle(deliveryError(delivered, err));
+          return;
+        }
+        delivered += 1;
+      }
+      if (delivered >= count) settle(null);
+    };
+
+    const pump = () => {
+      if (!started || settled) return;
+      while (active < concurrency && next < windowEnd()) {
+        const index = next++;
+        active += 1;
+        Promise.resolve()
+          .then(() => task(index, signal))
+          .then(result => {
+            active -= 1;
+            if (settled) return;
+            results.set(index, result);
+            flush();
+            pump();
+          }, err => {
+            active -= 1;
+            settle(err);
+          });
+      }
+    };
+
+    return {
+      run() {
+        if (!started) {
+          started = true;
+          if (signal?.aborted) settle(abortError());
+          else if (count <= 0) settle(null);
+          else {
+            signal?.addEventListener?.("abort", onAbort, { once: true });
+            pump();
+          }
+        }
+        return done;
+      },
+      advance(index) {
+        if (!Number.isFinite(index) || index <= position) return;
+        position = index;
+        pump();
+      },
+      get delivered() { return delivered; },
+      get inFlight() { return active; }
+    };
+  };
+
+  const api = {
+    createChunkPipeline
+  };
+
+  globalThis.GroqPipelineCore = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
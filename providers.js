@@ -0,0 +1,191 @@
+/* Immersive Speak — TTS provider registry. Each provider declares its
+   endpoint, auth scheme, voices and formats, and builds the HTTP request for
+   one chunk of text. STT and the agent stay on Groq (or whatever `api_base`
+   points at).
+
+   The service worker synthesizes through it and the options page builds its
+   provider and voice pickers from it, both via `GroqProviders`. */
+(() => {
+  const DEFAULT_TTS_PROVIDER = "groq";
+
+  const escapeXml = text => String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+  const trimSlash = url => String(url || "").replace(/\/+$/, "");
+
+  const openAiSpeechRequest = (text, settings, base) => ({
+    url: `${base}/audio/speech`,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: settings.tts_model,
+      voice: settings.tts_voice,
+      input: text,
+      response_format: settings.tts_format
+    })
+  });
+
+  const AZURE_OUTPUT_FORMATS = {
+    wav: "riff-24khz-16bit-mono-pcm",
+    mp3: "audio-24khz-48kbitrate-mono-mp3",
+    opus: "ogg-24khz-16bit-mono-opus"
+  };
+
+  const TTS_PROVIDERS = {
+    groq: {
+      label: "Groq",
+      baseUrl: GROQ_API_BASE,
+      auth: "bearer",
+      usesGroqKey: true,
+      models: ["canopylabs/orpheus-v1-english"],
+      voices: ["troy", "autumn", "diana", "hannah", "austin", "daniel"],
+      formats: ["wav", "mp3", "opus", "aac", "flac"],
+      buildRequest: openAiSpeechRequest
+    },
+    openai: {
+      label: "OpenAI-compatible",
+      baseUrl: "https://api.openai.com/v1",
+      auth: "bearer",
+      models: ["gpt-4o-mini-tts", "tts-1", "tts-1-hd"],
+      voices: ["alloy", "ash", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer"],
+      formats: ["mp3", "wav", "opus", "aac", "flac"],
+      buildRequest: openAiSpeechRequest
+    },
+    piper: {
+      label: "Piper HTTP server",
+      baseUrl: "http://localhost:5000",
+      auth: "none",
+      models: [],
+      voices: [],
+      formats: ["wav"],
+      // piper.http_server synthesizes the raw POST body with the voice it was started with
+      buildRequest: (text, _settings, base) => ({
+        url: `${base}/`,
+        headers: { "Content-Type": "text/plain; charset=utf-8" },
+        body: text
+      })
+    },
+    coqui: {
+      label: "Coqui TTS server",
+      baseUrl: "http://localhost:5002",
+      auth: "none",
+      models: [],
+      voices: [],
+      formats: ["wav"],
+      buildRequest: (text, settings, base) => {
+        const params = new URLSearchParams({ text });
+        if (settings.tts_voice) params.set("speaker_id", settings.tts_voice);
+        return { url: `${base}/api/tts?${params}`, method: "GET", headers: {} };
+      }
+    },
+    azure: {
+      label: "Azure Speech (SSML)",
+      baseUrl: "https://eastus.tts.speech.microsoft.com/cognitiveservices/v1",
+      auth: "subscription-key",
+      models: [],
+      voices: ["en-US-JennyNeural", "en-US-GuyNeural", "en-US-AriaNeural", "en-GB-SoniaNeural", "en-GB-RyanNeural"],
+      formats: ["wav", "mp3", "opus"],
+      mimes: { opus: "audio/ogg" },
+      buildRequest: (text, settings, base) => {
+        const voice = settings.tts_voice || "en-US-JennyNeural";
+        const lang = voice.split("-").slice(0, 2).join("-") || "en-US";
+        return {
+          url: base,
+          headers: {
+            "Content-Type": "application/ssml+xml",
+            "X-Microsoft-OutputFormat": AZURE_OUTPUT_FORMATS[settings.tts_format] || AZURE_OUTPUT_FORMATS.wav
+          },
+          body: `<speak version="1.0" xml:lang="${escapeXml(lang)}"><voice name="${escapeXml(voice)}">${escapeXml(text)}</voice></speak>`
+        };
+      }
+    }
+  };
+
+  const resolveTtsProvider = settings =>
+    TTS_PROVIDERS[settings?.tts_provider] || TTS_PROVIDERS[DEFAULT_TTS_PROVIDER];
+
+  /** Base URL for Groq STT and agent calls; also the Groq TTS default. */
+  const groqApiBase = settings => trimSlash(settings?.api_base || GROQ_API_BASE);
+
+  const ttsBaseUrl = settings => {
+    const provider = resolveTtsProvider(settings);
+    if (settings?.tts_base_url) return trimSlash(settings.tts_base_url);
+    return provider.usesGroqKey ? groqApiBase(settings) : trimSlash(provider.baseUrl);
+  };
+
+  const ttsApiKey = settings => {
+    const provider = resolveTtsProvider(settings);
+    if (provider.auth === "none") return "";
+    if (settings?.tts_api_key) return settings.tts_api_key;
+    return provider.usesGroqKey ? (settings?.api_key || "") : "";
+  };
+
+  /** The requested format if the provider can produce it, else the provider's first format. */
+  const ttsFormat = settings => {
+    const provider = resolveTtsProvider(settings);
+    return provider.formats.includes(settings?.tts_format) ? settings.tts_format : provider.formats[0];
+  };
+
+  /** True when the selected provider has everything it needs to authenticate. */
+  const hasTtsCredentials = settings =>
+    resolveTtsProvider(settings).auth === "none" || Boolean(ttsApiKey(settings));
+
+  /** The `language_voices` row for a BCP 47 tag: exact tag first, then primary subtag. */
+  const findLanguageVoice = (settings, lang) => {
+    const rows = Array.isArray(settings?.language_voices) ? settings.language_voices : [];
+    const tag = String(lang || "").toLowerCase();
+    if (!tag) return null;
+    const primary = tag.split(/[-_]/)[0];
+    return rows.find(row => String(row?.lang || "").toLowerCase() === tag)
+      || rows.find(row => String(row?.lang || "").toLowerCase() === primary)
+      || null;
+  };
+
+  /**
+   * Settings with the model, voice and STT language for text in `lang`.
+   * Without a mapping row the STT language follows the text, and the
+   * global STT language only applies when the language is unknown.
+   */
+  const settingsForLanguage = (settings, lang) => {
+    if (!lang) return settings;
+    const row = findLanguageVoice(settings, lang) || {};
+    return {
+      ...settings,
+      tts_model: row.tts_model || settings.tts_model,
+      tts_voice: row.tts_voice || settings.tts_voice,
+      stt_language: row.stt_language || String(lang).split(/[-_]/)[0].toLowerCase()
+    };
+  };
+
+  /** Build `{ url, init }` for a fetch of `text` through the selected provider. */
+  const buildTtsRequest = (text, settings) => {
+    const provider = resolveTtsProvider(settings);
+    const effective = { ...settings, tts_format: ttsFormat(settings) };
+    const req = provider.buildRequest(text, effective, ttsBaseUrl(settings));
+    const headers = { ...req.headers };
+    const key = ttsApiKey(settings);
+    if (provider.auth === "bearer" && key) headers["Authorization"] = `Bearer ${key}`;
+    if (provider.auth === "subscription-key" && key) headers["Ocp-Apim-Subscription-Key"] = key;
+    const init = { method: req.method || "POST", headers };
+    if (req.body != null) init.body = req.body;
+    return { url: req.url, init };
+  };
+
+  const api = {
+    DEFAULT_TTS_PROVIDER,
+    TTS_PROVIDERS,
+    resolveTtsProvider,
+    groqApiBase,
+    ttsBaseUrl,
+    ttsFormat,
+    hasTtsCredentials,
+    settingsForLanguage,
+    buildTtsRequest
+  };
+
+  globalThis.GroqProviders = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
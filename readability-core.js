@@ -0,0 +1,120 @@
+/* Immersive Speak — local main-content extraction, the on-device alternative
+   to the agent. Scores the blocks content-engine collects for the agent in the
+   spirit of Readability: long, comma-rich text with few links inside
+   main/article scores high, navigation, sidebars and footers score low. The
+   best block anchors the article, which then grows in document order over
+   neighbouring blocks at a similar DOM depth.
+
+   content-engine.js calls it through `GroqReadabilityCore` when
+   agent_strategy is "local", or when the agent fails under "llm_fallback". */
+(() => {
+  // Content landmarks boost a block; page chrome all but rules it out
+  const LANDMARK_WEIGHTS = {
+    main: 1.5,
+    article: 1.5,
+    section: 1.1,
+    "": 1,
+    header: 0.3,
+    form: 0.3,
+    aside: 0.2,
+    nav: 0.1,
+    footer: 0.1
+  };
+  // Headings carry no prose of their own; they join the article they sit in
+  const KIND_WEIGHTS = {
+    paragraph: 1,
+    quote: 1,
+    list_item: 0.7,
+    block: 0.7,
+    table: 0.8,
+    code: 0.6,
+    caption: 0.5,
+    heading: 0
+  };
+  const STRUCTURAL_KINDS = new Set(["heading", "caption", "table"]);
+  // A block joins the article when it scores this share of the best block…
+  const MIN_SHARE = 0.2;
+  // …sits within this many levels of the best block's depth…
+  const MAX_DEPTH_DELTA = 3;
+  // …and is at most this much link text
+  const MAX_LINK_RATIO = 0.5;
+  // Blocks in a row that may fail those tests before the article is over
+  const MAX_GAP = 2;
+
+  const landmarkWeight = block => LANDMARK_WEIGHTS[block.landmark] ?? 1;
+
+  /** Readability's text score: one point, plus length, plus commas, each capped at 3. */
+  function textDensity(block) {
+    const words = Number(block.words) || 0;
+    const commas = (String(block.text || "").match(/[,，、،]/g) || []).length;
+    return 1 + Math.min(3, words / 25) + Math.min(3, commas);
+  }
+
+  /**
+   * Content score of one agent block payload: text density, discounted by the
+   * share of link text and weighted by landmark and kind.
+   */
+  function scoreBlock(block) {
+    const linkRatio = Math.min(1, Math.max(0, Number(block.link_ratio) || 0));
+    const kindWeight = KIND_WEIGHTS[block.kind] ?? KIND_WEIGHTS.block;
+    return textDensity(block) * (1 - linkRatio) * landmarkWeight(block) * kindWeight;
+  }
+
+  /**
+   * Pick the main content from agent block payloads (document order) and
+   * return it as a reading plan in the agent's format: `{ plan, readIds }`.
+   * The plan is empty when no block has any content score.
+   */
+  function extractMainContent(blocks) {
+    const list = (Array.isArray(blocks) ? blocks : []).filter(block => Number.isInteger(block?.id));
+    const scores = new Map(list.map(block => [block.id, scoreBlock(block)]));
+
+    let best = null;
+    for (const block of list) {
+      if (!best || scores.get(block.id) > scores.get(best.id)) best = block;
+    }
+    if (!best || !(scores.get(best.id) > 0)) return { plan: [], readIds: [] };
+
+    const threshold = scores.get(best.id) * MIN_SHARE;
+    const minLandmarkWeight = Math.min(1, landmarkWeight(best));
+    const belongs = block => {
+      if (Math.abs((Number(block.depth) || 0) - (Number(best.depth) || 0)) > MAX_DEPTH_DELTA) return false;
+      if ((Number(block.link_ratio) || 0) > MAX_LINK_RATIO) return false;
+      if (landmarkWeight(block) < minLandmarkWeight) return false;
+      return STRUCTURAL_KINDS.has(block.kind) || scores.get(block.id) >= threshold;
+    };
+
+    const index = list.indexOf(best);
+    const chosen = new Set([best.id]);
+    for (const step of [-1, 1]) {
+      let gap = 0;
+      for (let i = index + step; i >= 0 && i < list.length; i += step) {
+        if (belongs(list[i])) {
+          chosen.add(list[i].id);
+          gap = 0;
+        } else if (++gap > MAX_GAP) {
+          break;
+        }
+      }
+    }
+
+    const picked = list.filter(block => chosen.has(block.id));
+    // A heading that closes the article introduces whatever comes after it
+    while (picked.length && picked.at(-1).kind === "heading") picked.pop();
+
+    const plan = picked.map(block => (
+      block.kind === "caption" && block.figure?.alt
+        ? { id: block.id, action: "read_figure" }
+        : { id: block.id, action: "read" }
+    ));
+    return { plan, readIds: plan.map(step => step.id) };
+  }
+
+  const api = {
+    scoreBlock,
+    extractMainContent
+  };
+
+  globalThis.GroqReadabilityCore = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
@@ -1,17 +1,47 @@
 /* Immersive Speak — shared constants (loaded by background, content, and options) */
 
+const GROQ_API_BASE = "https://api.groq.com/openai/v1";
+
 const GROQ_DEFAULTS = {
   api_key: "",
+  api_base: "",
+  tts_provider: "groq",
+  tts_base_url: "",
+  tts_api_key: "",
   tts_model: "canopylabs/orpheus-v1-english",
   tts_voice: "troy",
   tts_format: "wav",
   stt_model: "whisper-large-v3-turbo",
   stt_language: "",
+  // "auto" aligns words from the audio and calls STT only when unsure; "local" never calls STT; "stt" always does
+  alignment_mode: "auto",
+  // [{ lang, tts_model, tts_voice, stt_language }] — blank fields keep the defaults above
+  language_voices: [],
   max_chars: 200,
+  // Built-in speech normalization rules by id (emoji, urls, dates, currency, numbers, fractions, acronyms, symbols); false turns one off
+  text_normalization: {},
+  // [{ pattern, replacement, flags, enabled }] — regex rewrites applied to each word before the built-in rules
+  normalization_rules: [],
+  // [{ term, spoken, site }] — pronunciation lexicon; an empty site applies everywhere, a site's own entry wins
+  pronunciations: [],
+  // Audio cache budget in MB (least recently used entries go first) and lifetime in days (0 keeps entries forever)
+  cache_max_mb: 100,
+  cache_ttl_days: 30,
   auto_speak: true,
+  selection_mode: "block",
   agent_mode: true,
   agent_model: "moonshotai/kimi-k2-instruct-0905",
+  // "llm" plans with the agent model; "local" scores blocks on the device and never sends page text; "llm_fallback" uses local when the agent fails
+  agent_strategy: "llm_fallback",
   speech_mode: false,
+  continue_reading: false,
+  sentence_highlight: true,
+  dim_read_text: false,
+  auto_scroll: true,
+  export_cues: "sentence",
+  export_subtitles: "vtt",
+  local_fallback: true,
+  playback_rates: {},
   analytics_opt_in: false
 };
 
@@ -24,9 +54,18 @@ const GROQ_MESSAGES = {
   AGENT_SELECT: "groq-tts-agent-select",
   SPEECH_TTS: "groq-tts-speech-tts",
   PICKER_START: "groq-tts-picker-start",
-  PICKER_STOP: "groq-tts-picker-stop"
+  PICKER_STOP: "groq-tts-picker-stop",
+  COMMAND: "groq-tts-command",
+  CONTEXT_READ: "groq-tts-context-read",
+  QUEUE_PLAY: "groq-tts-queue-play",
+  QUEUE_EXTRACT: "groq-tts-queue-extract",
+  QUEUE_DONE: "groq-tts-queue-done",
+  QUEUE_CONTROL: "groq-tts-queue-control",
+  TRANSCRIPT_PORT: "groq-tts-transcript"
 };
 
+const GROQ_QUEUE_KEY = "reading_queue";
+
 const GROQ_TARGET_ATTR = "data-groq-tts-target";
 
 /** Helper to get i18n message with fallback */
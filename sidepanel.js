@@ -0,0 +1,183 @@
+/* Immersive Speak — side panel with the live transcript of the current reading
+   and the background-managed reading queue. */
+
+// Port to the stub of the active tab's top frame; seeks go back over it
+let transcriptPort = null;
+let transcriptTabId = null;
+let transcriptWords = [];
+let currentWordIndex = -1;
+
+document.addEventListener("DOMContentLoaded", () => {
+  applyI18n();
+
+  document.getElementById("queue-play-btn").addEventListener("click", () => sendQueueControl("start"));
+  document.getElementById("queue-stop-btn").addEventListener("click", () => sendQueueControl("stop"));
+  document.getElementById("queue-add-btn").addEventListener("click", () => sendQueueControl("add-current"));
+  document.getElementById("queue-clear-btn").addEventListener("click", () => sendQueueControl("clear"));
+
+  chrome.storage.local.get({ [GROQ_QUEUE_KEY]: null }, values => renderQueue(values[GROQ_QUEUE_KEY]));
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes[GROQ_QUEUE_KEY]) return;
+    renderQueue(changes[GROQ_QUEUE_KEY].newValue);
+  });
+
+  document.getElementById("transcript").addEventListener("click", event => {
+    const index = Number(event.target?.dataset?.index);
+    if (!transcriptPort || !Number.isInteger(index)) return;
+    transcriptPort.postMessage({ kind: "seek", index });
+  });
+
+  // Follow the active tab, and reconnect after it navigates to a new page
+  connectTranscript();
+  chrome.tabs.onActivated.addListener(() => connectTranscript());
+  chrome.tabs.onUpdated.addListener((tabId, change) => {
+    if (tabId === transcriptTabId && change.status === "complete") connectTranscript({ force: true });
+  });
+});
+
+// ─── Transcript ──────────────────────────────────────────────────────
+
+/**
+ * Connect to the active tab of this window. The tab's engine publishes its
+ * transcript only while the port is open, and re-sends it on connect.
+ */
+function connectTranscript({ force } = {}) {
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    if (!tab?.id || (tab.id === transcriptTabId && transcriptPort && !force)) return;
+    try { transcriptPort?.disconnect(); } catch (_) {}
+    transcriptPort = null;
+    transcriptTabId = tab.id;
+    renderTranscript("", [], []);
+
+    const port = chrome.tabs.connect(tab.id, { name: GROQ_MESSAGES.TRANSCRIPT_PORT, frameId: 0 });
+    port.onMessage.addListener(handleTranscriptMessage);
+    // Pages without the content script (chrome://, the Web Store) close it at once
+    port.onDisconnect.addListener(() => {
+      void chrome.runtime.lastError;
+      if (transcriptPort === port) transcriptPort = null;
+    });
+    transcriptPort = port;
+  });
+}
+
+function handleTranscriptMessage(msg) {
+  switch (msg.kind) {
+    case "transcript":
+      renderTranscript(msg.title, msg.words || [], msg.joiners || []);
+      break;
+    case "word":
+      setCurrentWord(msg.index);
+      break;
+    case "progress":
+      renderProgress(msg.ready, msg.total, msg.done);
+      break;
+    case "end":
+      document.getElementById("transcript").classList.add("ended");
+      break;
+  }
+}
+
+function renderTranscript(title, words, joiners) {
+  const container = document.getElementById("transcript");
+  container.textContent = "";
+  container.classList.remove("ended");
+  transcriptWords = [];
+  currentWordIndex = -1;
+
+  words.forEach((text, index) => {
+    const span = document.createElement("span");
+    span.className = "transcript-word";
+    span.dataset.index = String(index);
+    span.textContent = text;
+    if (index) container.append(joiners[index] ?? " ");
+    container.append(span);
+    transcriptWords.push(span);
+  });
+
+  document.getElementById("reader-title").textContent = title || "";
+  document.getElementById("transcript-empty").hidden = words.length > 0;
+}
+
+function setCurrentWord(index) {
+  if (!Number.isInteger(index) || index === currentWordIndex || !transcriptWords[index]) return;
+  document.getElementById("transcript").classList.remove("ended");
+  const previous = currentWordIndex;
+  transcriptWords[previous]?.classList.remove("current");
+  // Only the words between the old and the new position change their read state
+  const read = index > previous;
+  for (let i = Math.max(0, Math.min(previous, index)); i < Math.max(previous, index); i++) {
+    transcriptWords[i].classList.toggle("read", read);
+  }
+  transcriptWords[index].classList.add("current");
+  currentWordIndex = index;
+  transcriptWords[index].scrollIntoView({ block: "nearest" });
+}
+
+function renderProgress(ready, total, done) {
+  const bar = document.getElementById("reader-progress");
+  bar.max = Math.max(1, total || 0);
+  bar.value = Math.min(bar.max, ready || 0);
+  document.getElementById("reader-progress-label").textContent = done
+    ? i18n("panelReaderReady")
+    : i18n("panelReaderProgress", [String(ready || 0), String(total || 0)]);
+}
+
+// ─── Reading queue ───────────────────────────────────────────────────
+
+function sendQueueControl(action, id) {
+  chrome.runtime.sendMessage({ type: GROQ_MESSAGES.QUEUE_CONTROL, action, id }, response => {
+    if (chrome.runtime.lastError || response?.ok === false) {
+      setStatus(i18n("panelQueueError"));
+    }
+  });
+}
+
+function renderQueue(queue) {
+  const items = queue?.items || [];
+  const list = document.getElementById("queue-list");
+  list.textContent = "";
+
+  for (const item of items) {
+    const li = document.createElement("li");
+    li.className = "queue-item";
+    if (item.id === queue.currentId) li.classList.add("current");
+
+    const text = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "queue-item-title";
+    title.textContent = item.kind === "selection" ? item.text : (item.title || item.url);
+    const meta = document.createElement("div");
+    meta.className = "queue-item-meta";
+    meta.textContent = item.kind === "selection" ? (item.title || item.url) : item.url;
+    text.append(title, meta);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "secondary";
+    remove.textContent = i18n("panelQueueRemove");
+    remove.addEventListener("click", () => sendQueueControl("remove", item.id));
+
+    li.append(text, remove);
+    list.appendChild(li);
+  }
+
+  document.getElementById("queue-empty").hidden = items.length > 0;
+  document.getElementById("queue-stop-btn").disabled = !queue?.playing;
+  document.getElementById("queue-play-btn").disabled = !items.length || Boolean(queue?.playing);
+  setStatus(items.length
+    ? i18n(queue.playing ? "panelQueuePlaying" : "panelQueueCount", [String(items.length)])
+    : "");
+}
+
+function setStatus(message) {
+  document.getElementById("queue-status").textContent = message;
+}
+
+function applyI18n() {
+  document.querySelectorAll("[data-i18n]").forEach(el => {
+    const key = el.getAttribute("data-i18n");
+    const msg = i18n(key);
+    if (msg && msg !== key) el.textContent = msg;
+  });
+}
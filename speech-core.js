@@ -0,0 +1,564 @@
+/* Immersive Speak — pure text/timing helpers shared by the content engine and
+   the Node test suite. No DOM or chrome.* access: words are plain objects with
+   a `text` property, STT words are Whisper's `{ word, start, end }`.
+
+   Injected before content-engine.js (re-injection is harmless, nothing leaks
+   beyond `GroqSpeechCore`) and loadable with require() from Node. */
+(() => {
+  // Scripts written without spaces between words
+  const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\u3000-\u303F\uFF01-\uFF0F\uFF1A-\uFF20]/u;
+  const SENTENCE_END = /[.!?\u3002\uFF01\uFF1F\uFF0E\u203C\u2047-\u2049]+["'\u201D\u2019)\]\u300D\u300F\uFF09]*$/;
+  // Lowercased, without the final period
+  const ABBREVIATIONS = new Set([
+    "mr", "mrs", "ms", "mx", "dr", "prof", "sr", "jr", "st", "mt", "rev", "hon",
+    "gen", "col", "lt", "sgt", "capt", "gov", "sen", "rep",
+    "vs", "cf", "approx", "ca", "fig", "figs", "no", "nos", "vol", "pp", "ed", "eds",
+    "inc", "ltd", "co", "corp", "dept", "univ"
+  ]);
+  // Abbreviations that are also words: "No. 5", but "the answer was no."
+  const NUMBER_ABBREVIATIONS = new Set(["no", "nos"]);
+  // Capitalized words that usually open a sentence rather than continue a name ("Plan B. Next…")
+  const SENTENCE_OPENERS = new Set([
+    "the", "a", "an", "this", "that", "these", "those", "then", "next", "now", "there", "here",
+    "it", "its", "i", "we", "you", "he", "she", "they", "our", "my", "his", "her", "their",
+    "but", "and", "or", "so", "yet", "if", "when", "after", "before", "as", "in", "on", "at",
+    "for", "with", "what", "how", "why", "also", "however", "finally", "meanwhile"
+  ]);
+
+  // Languages written in each script, most likely first. Latin is left out:
+  // the script says nothing about which Latin-script language a text is in.
+  const SCRIPT_LANGUAGES = {
+    Kana: ["ja"],
+    Han: ["zh", "ja", "yue"],
+    Hangul: ["ko"],
+    Thai: ["th"],
+    Lao: ["lo"],
+    Khmer: ["km"],
+    Myanmar: ["my"],
+    Arabic: ["ar", "fa", "ur", "ps", "ku", "sd", "ug"],
+    Hebrew: ["he", "yi"],
+    Cyrillic: ["ru", "uk", "bg", "sr", "mk", "be", "kk", "ky", "mn", "tg"],
+    Greek: ["el"],
+    Armenian: ["hy"],
+    Georgian: ["ka"],
+    Devanagari: ["hi", "mr", "ne", "sa"],
+    Bengali: ["bn", "as"],
+    Tamil: ["ta"],
+    Telugu: ["te"],
+    Gujarati: ["gu"],
+    Ethiopic: ["am", "ti"]
+  };
+  const SCRIPT_PATTERNS = Object.keys(SCRIPT_LANGUAGES)
+    .filter(script => script !== "Kana")
+    .map(script => [script, new RegExp(`\\p{Script=${script}}`, "u")]);
+  const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+  const DETECT_SAMPLE_CHARS = 600;
+
+  const segmenters = new Map();
+
+  /** Cached Intl.Segmenter, or null where the API (or the locale) is unavailable. */
+  function getSegmenter(locale, granularity) {
+    if (typeof Intl === "undefined" || typeof Intl.Segmenter !== "function") return null;
+    const key = `${locale || ""}|${granularity}`;
+    if (!segmenters.has(key)) {
+      let segmenter = null;
+      try {
+        segmenter = new Intl.Segmenter(locale || undefined, { granularity });
+      } catch (_) {
+        try { segmenter = new Intl.Segmenter(undefined, { granularity }); } catch (_) {}
+      }
+      segmenters.set(key, segmenter);
+    }
+    return segmenters.get(key);
+  }
+
+  // ─── Language ───────────────────────────────────────────────────────
+
+  /** "pt-BR" → "pt" */
+  function primaryLanguage(tag) {
+    return String(tag || "").split(/[-_]/)[0].toLowerCase();
+  }
+
+  /**
+   * Dominant non-Latin script of `text` ("Han", "Cyrillic"…; "Kana" for
+   * Japanese), "Latin", or "" when there are no letters.
+   */
+  function detectTextScript(text) {
+    const counts = new Map();
+    let letters = 0;
+    let kana = 0;
+    for (const ch of String(text || "").slice(0, DETECT_SAMPLE_CHARS)) {
+      if (!/\p{L}/u.test(ch)) continue;
+      letters += 1;
+      if (KANA.test(ch)) { kana += 1; continue; }
+      const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(ch));
+      const script = match ? match[0] : "Latin";
+      counts.set(script, (counts.get(script) || 0) + 1);
+    }
+    if (!letters) return "";
+    // Japanese mixes kana with kanji; a little kana is enough to tell it from Chinese
+    if (kana && kana >= letters * 0.1) return "Kana";
+    let best = "Latin";
+    let bestCount = 0;
+    for (const [script, count] of counts) {
+      if (count > bestCount) { best = script; bestCount = count; }
+    }
+    return best;
+  }
+
+  /**
+   * Language of a block: the declared `lang` when the text's script agrees
+   * with it, otherwise the most likely language for the script. Returns ""
+   * when neither says anything (Latin text without a declared language).
+   */
+  function resolveLanguage(declared, text) {
+    const script = detectTextScript(text);
+    const candidates = SCRIPT_LANGUAGES[script];
+    if (!candidates) return declared || "";
+    if (declared && candidates.includes(primaryLanguage(declared))) return declared;
+    return candidates[0];
+  }
+
+  // ─── Words & sentences ──────────────────────────────────────────────
+
+  const isNoSpaceChar = ch => Boolean(ch) && NO_SPACE_SCRIPT.test(ch);
+
+  /**
+   * Split `text` into readable words `{ start, end, text }` (offsets into `text`).
+   * Punctuation sticks to the word it touches ("Hello," "“quoted”" "e.g."), and
+   * unspaced scripts (Chinese, Japanese, Thai…) are split by the word segmenter.
+   * Punctuation surrounded by spaces (a lone dash) is not a word.
+   */
+  function segmentWords(text, locale) {
+    const source = String(text || "");
+    const segmenter = getSegmenter(locale, "word");
+    if (!segmenter) {
+      const words = [];
+      const regex = /\S+/g;
+      let match;
+      while ((match = regex.exec(source))) {
+        if (!normalizeWord(match[0])) continue;
+        words.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+      }
+      return words;
+    }
+
+    const words = [];
+    let current = null;
+    let prefixStart = null;
+    for (const { segment, index, isWordLike } of segmenter.segment(source)) {
+      const end = index + segment.length;
+      if (!segment.trim()) {
+        current = null;
+        prefixStart = null;
+        continue;
+      }
+      if (isWordLike) {
+        const joined = current && current.end === index && prefixStart == null
+          && !isNoSpaceChar(source[index - 1]) && !isNoSpaceChar(segment[0]);
+        if (joined) {
+          current.end = end;
+        } else {
+          current = { start: prefixStart ?? index, end };
+          words.push(current);
+        }
+        prefixStart = null;
+      } else if (current && current.end === index) {
+        current.end = end;
+      } else if (prefixStart == null) {
+        prefixStart = index;
+      }
+    }
+    for (const word of words) word.text = source.slice(word.start, word.end);
+    return words;
+  }
+
+  /**
+   * What to put between two adjacent words when rebuilding text: nothing
+   * inside unspaced scripts, otherwise a single space.
+   */
+  function wordJoiner(prevText, nextText, hasWhitespace) {
+    if (hasWhitespace || !prevText) return " ";
+    return isNoSpaceChar(prevText[prevText.length - 1]) || isNoSpaceChar(String(nextText || "")[0]) ? "" : " ";
+  }
+
+  /** Join `{ text, joiner }` words back into running text. */
+  function joinWords(words) {
+    let out = "";
+    words.forEach((word, i) => {
+      out += (i ? (word.joiner ?? " ") : "") + word.text;
+    });
+    return out;
+  }
+
+  /** Lowercase, unify apostrophes and strip edge punctuation for comparisons. */
+  function normalizeWord(text) {
+    return (text || "")
+      .toLowerCase()
+      .replace(/[\u02BC\u2018\u2019\u2032]/g, "'")
+      .replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, "");
+  }
+
+  /**
+   * "Dr.", "e.g.", "U.S." or an initial such as "J.". With `next`, the token
+   * that follows, "No." needs a number after it and an initial a name or
+   * another initial.
+   */
+  function isAbbreviation(text, next) {
+    const token = String(text || "").trim().replace(/^[^\p{L}\p{N}]+/u, "");
+    if (!token.endsWith(".")) return false;
+    const base = token.slice(0, -1);
+    // Without the following token, the words and letters below get the benefit of the doubt
+    const following = next === undefined ? null : String(next || "").trim();
+    if (NUMBER_ABBREVIATIONS.has(base.toLowerCase())) {
+      return following === null || /^[#(]?\p{N}/u.test(following);
+    }
+    if (/^\p{Lu}$/u.test(base)) return following === null || isInitialFollower(following);
+    return ABBREVIATIONS.has(base.toLowerCase()) || /^(\p{L}\.)+\p{L}$/u.test(base);
+  }
+
+  /** Whether a token can follow an initial: another initial ("J. R. R.") or a name ("F. Kennedy"). */
+  function isInitialFollower(token) {
+    if (/^\p{Lu}\.$/u.test(token)) return true;
+    const word = token.replace(/[^\p{L}'’-]+$/u, "");
+    return /^\p{Lu}\p{Ll}/u.test(word) && !SENTENCE_OPENERS.has(word.toLowerCase());
+  }
+
+  /**
+   * Token-level check used when there is no surrounding text to segment.
+   * `next`, the token that follows, settles "No." and initials as in
+   * isAbbreviation; pass "" for the last token.
+   */
+  function isSentenceEnd(text, next) {
+    const token = (text || "").trim();
+    return SENTENCE_END.test(token) && !isAbbreviation(token, next);
+  }
+
+  /**
+   * For each token, whether a sentence ends after it. Uses the sentence
+   * segmenter on the rebuilt text so context counts ("e.g. this" does not end),
+   * then keeps abbreviations such as "Dr." from ending a sentence.
+   */
+  function findSentenceEnds(tokens, locale, joiners) {
+    const segmenter = getSegmenter(locale, "sentence");
+    if (!segmenter) return tokens.map((token, i) => isSentenceEnd(token, tokens[i + 1] ?? ""));
+
+    const ends = new Array(tokens.length).fill(false);
+    const tokenEnds = [];
+    let text = "";
+    tokens.forEach((token, i) => {
+      if (i) text += joiners?.[i] ?? " ";
+      text += token;
+      tokenEnds.push(text.length);
+    });
+
+    let t = 0;
+    for (const { segment, index } of segmenter.segment(text)) {
+      const end = index + segment.trimEnd().length;
+      while (t < tokenEnds.length - 1 && tokenEnds[t] < end) t += 1;
+      ends[t] = true;
+    }
+    for (let i = 0; i < tokens.length - 1; i++) {
+      if (ends[i] && isAbbreviation(tokens[i], tokens[i + 1])) ends[i] = false;
+    }
+    return ends;
+  }
+
+  // ─── Chunking ───────────────────────────────────────────────────────
+
+  /**
+   * Group word tokens into `{ text, count }` chunks of about `maxChars`.
+   * When a chunk overflows, look ahead up to half of `maxChars` for a sentence
+   * end so chunks rarely split mid-sentence.
+   *
+   * Options: `joiners[i]` is the separator before token i (default " "),
+   * `sentenceEnds[i]` marks sentence ends (default: findSentenceEnds with `locale`).
+   */
+  function chunkTokens(tokens, maxChars, options = {}) {
+    const joiners = options.joiners;
+    const ends = options.sentenceEnds || findSentenceEnds(tokens, options.locale, joiners);
+    const joinerAt = i => joiners?.[i] ?? " ";
+    const chunks = [];
+    let current = [];
+    let text = "";
+    const tolerance = Math.round(maxChars * 0.5);
+
+    const push = (i) => {
+      text += (current.length ? joinerAt(i) : "") + tokens[i];
+      current.push(tokens[i]);
+    };
+    const flush = () => {
+      chunks.push({ text, count: current.length });
+      current = [];
+      text = "";
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const addLength = (current.length ? joinerAt(i).length : 0) + tokens[i].length;
+
+      if (text.length + addLength > maxChars && current.length) {
+        // Look ahead for a nearby sentence boundary to avoid mid-sentence splits
+        let found = -1;
+        let totalLen = text.length;
+        for (let j = i; j < tokens.length; j++) {
+          totalLen += joinerAt(j).length + tokens[j].length;
+          if (totalLen > maxChars + tolerance) break;
+          if (ends[j]) { found = j; break; }
+        }
+
+        if (found >= 0) {
+          for (let j = i; j <= found; j++) push(j);
+          flush();
+          i = found;
+          continue;
+        }
+
+        flush();
+      }
+      push(i);
+    }
+
+    if (current.length) flush();
+
+    return chunks;
+  }
+
+  // ─── Timing maps ────────────────────────────────────────────────────
+
+  /**
+   * Align STT words to page words. Returns sparse `{ wordIndex, start, end }`
+   * entries; small insertions or omissions on either side are skipped with a
+   * short lookahead, anything else is matched positionally. A word with a
+   * `spoken` form (normalized for TTS) is matched by what was said and gets
+   * the span of all its spoken words; an empty spoken form gets no entry.
+   */
+  function buildTimingMap(words, sttWords) {
+    if (!Array.isArray(sttWords) || !sttWords.length) return [];
+    if (words.some(w => typeof w.spoken === "string" && w.spoken !== w.text)) {
+      return buildSpokenTimingMap(words, sttWords);
+    }
+    const normalizedWords = words.map(w => normalizeWord(w.text));
+    const normalizedStt = sttWords.map(word => ({
+      text: normalizeWord(word.word || word.text || ""),
+      start: word.start ?? 0,
+      end: word.end ?? 0
+    }));
+
+    const map = [];
+    const LOOKAHEAD = 3;
+    const skipEmptyStt = idx => {
+      while (idx < normalizedStt.length && !normalizedStt[idx].text) idx += 1;
+      return idx;
+    };
+    const skipEmptyWord = idx => {
+      while (idx < normalizedWords.length && !normalizedWords[idx]) idx += 1;
+      return idx;
+    };
+
+    let i = skipEmptyStt(0);
+    let j = skipEmptyWord(0);
+    while (i < normalizedStt.length && j < normalizedWords.length) {
+      const w = normalizedStt[i];
+      const s = normalizedWords[j];
+
+      if (!s) { j = skipEmptyWord(j + 1); continue; }
+      if (!w?.text) { i = skipEmptyStt(i + 1); continue; }
+
+      if (w.text === s) {
+        map.push({ wordIndex: j, start: w.start, end: w.end });
+        i = skipEmptyStt(i + 1);
+        j = skipEmptyWord(j + 1);
+        continue;
+      }
+
+      let advanced = false;
+      for (let wi = 1; wi <= LOOKAHEAD && i + wi < normalizedStt.length; wi++) {
+        const next = normalizedStt[i + wi];
+        if (!next?.text) continue;
+        if (next.text === s) {
+          i = skipEmptyStt(i + wi);
+          advanced = true;
+          break;
+        }
+      }
+      if (advanced) continue;
+
+      for (let sj = 1; sj <= LOOKAHEAD && j + sj < normalizedWords.length; sj++) {
+        const next = normalizedWords[j + sj];
+        if (!next) continue;
+        if (next === w.text) {
+          j = skipEmptyWord(j + sj);
+          advanced = true;
+          break;
+        }
+      }
+      if (advanced) continue;
+
+      map.push({ wordIndex: j, start: w.start, end: w.end });
+      i = skipEmptyStt(i + 1);
+      j = skipEmptyWord(j + 1);
+    }
+
+    return map;
+  }
+
+  /** Match STT against the spoken words, then fold the timings back onto their page words. */
+  function buildSpokenTimingMap(words, sttWords) {
+    const spoken = [];
+    words.forEach((w, owner) => {
+      const form = typeof w.spoken === "string" ? w.spoken : w.text;
+      for (const text of form.split(/\s+/).filter(Boolean)) spoken.push({ text, owner });
+    });
+    const byOwner = new Map();
+    for (const entry of buildTimingMap(spoken, sttWords)) {
+      const owner = spoken[entry.wordIndex].owner;
+      const prev = byOwner.get(owner);
+      byOwner.set(owner, prev
+        ? { wordIndex: owner, start: Math.min(prev.start, entry.start), end: Math.max(prev.end, entry.end) }
+        : { wordIndex: owner, start: entry.start, end: entry.end });
+    }
+    return [...byOwner.values()];
+  }
+
+  function buildFallbackMap(words, duration) {
+    if (!duration || !words.length) return [];
+    const per = duration / words.length;
+    return words.map((_, idx) => ({
+      wordIndex: idx,
+      start: idx * per,
+      end: (idx + 1) * per
+    }));
+  }
+
+  /**
+   * One entry per word: gaps are interpolated between known neighbours,
+   * and starts are made monotonic with a minimum duration per word.
+   */
+  function normalizeTimingMap(words, timingMap, duration) {
+    if (!words.length) return [];
+    if (!Array.isArray(timingMap)) timingMap = [];
+
+    const entries = new Array(words.length).fill(null);
+    let avg = 0;
+    let count = 0;
+
+    for (const entry of timingMap) {
+      if (!entry || entry.wordIndex == null) continue;
+      entries[entry.wordIndex] = { ...entry };
+      if (entry.end > entry.start) {
+        avg += (entry.end - entry.start);
+        count += 1;
+      }
+    }
+
+    if (!count) {
+      avg = duration ? duration / words.length : 0.35;
+    } else {
+      avg = avg / count;
+    }
+
+    const firstKnown = entries.findIndex(e => e);
+    if (firstKnown === -1) {
+      if (duration) return buildFallbackMap(words, duration);
+      return words.map((_, idx) => ({
+        wordIndex: idx,
+        start: idx * avg,
+        end: (idx + 1) * avg
+      }));
+    }
+
+    for (let i = firstKnown - 1; i >= 0; i--) {
+      const next = entries[i + 1];
+      const end = next?.start ?? (avg * (i + 1));
+      const start = Math.max(0, end - avg);
+      entries[i] = { wordIndex: i, start, end };
+    }
+
+    let prev = firstKnown;
+    for (let i = firstKnown + 1; i < entries.length; i++) {
+      if (entries[i]) { prev = i; continue; }
+      let next = i + 1;
+      while (next < entries.length && !entries[next]) next += 1;
+      const gap = next - prev;
+      if (next < entries.length) {
+        const start = entries[prev]?.end ?? (avg * prev);
+        const end = entries[next]?.start ?? (start + avg * gap);
+        let step = (end - start) / gap;
+        if (!Number.isFinite(step) || step <= 0) step = avg;
+        for (let k = 1; k < gap; k++) {
+          const s = start + step * (k - 1);
+          const e = start + step * k;
+          const idx = prev + k;
+          entries[idx] = { wordIndex: idx, start: s, end: e };
+        }
+      } else {
+        let start = entries[prev]?.end ?? (avg * prev);
+        for (let k = 1; k < gap; k++) {
+          const idx = prev + k;
+          const end = start + avg;
+          entries[idx] = { wordIndex: idx, start, end };
+          start = end;
+        }
+      }
+      prev = Math.min(next, entries.length - 1);
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+      if (!entries[i]) {
+        const start = i * avg;
+        entries[i] = { wordIndex: i, start, end: start + avg };
+      }
+    }
+
+    const minDur = Math.max(avg * 0.4, 0.04);
+    let lastEnd = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const start = Math.max(entry.start ?? lastEnd, lastEnd);
+      const end = Math.max(entry.end ?? (start + minDur), start + minDur);
+      entry.start = start;
+      entry.end = end;
+      lastEnd = end;
+    }
+
+    return entries;
+  }
+
+  /** Binary search for the entry playing at `time` (clamped to the ends). */
+  function findWordIndexByTime(entries, time) {
+    if (!entries.length) return 0;
+    let lo = 0;
+    let hi = entries.length - 1;
+    if (time <= entries[0].start) return 0;
+    if (time >= entries[hi].end) return hi;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      const entry = entries[mid];
+      if (time >= entry.start && time <= entry.end) return mid;
+      if (time < entry.start) hi = mid - 1;
+      else lo = mid + 1;
+    }
+    return Math.max(0, Math.min(entries.length - 1, lo));
+  }
+
+  const api = {
+    primaryLanguage,
+    detectTextScript,
+    resolveLanguage,
+    segmentWords,
+    wordJoiner,
+    joinWords,
+    normalizeWord,
+    isAbbreviation,
+    isSentenceEnd,
+    findSentenceEnds,
+    chunkTokens,
+    buildTimingMap,
+    buildFallbackMap,
+    normalizeTimingMap,
+    findWordIndexByTime
+  };
+
+  globalThis.GroqSpeechCore = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})();
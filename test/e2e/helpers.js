@@ -0,0 +1,174 @@
+/* Shared setup for the end-to-end suite: a Chromium with the unpacked
+   extension loaded, pointed at the mock Groq server. */
+
+"use strict";
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const puppeteer = require("puppeteer");
+
+const REPO_ROOT = path.resolve(__dirname, "..", "..");
+const COPY_EXCLUDES = new Set([".git", "node_modules", "test"]);
+const PORT_NAME = "groq-tts";
+
+/**
+ * Copy the extension to a temp dir with host access to the mock server added:
+ * engine injection needs it and a headless run cannot answer permission prompts.
+ */
+function prepareExtension() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "immersive-speak-"));
+  for (const entry of fs.readdirSync(REPO_ROOT)) {
+    if (COPY_EXCLUDES.has(entry)) continue;
+    fs.cpSync(path.join(REPO_ROOT, entry), path.join(dir, entry), { recursive: true });
+  }
+  const manifestPath = path.join(dir, "manifest.json");
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  manifest.host_permissions = [...(manifest.host_permissions || []), "http://127.0.0.1/*"];
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return dir;
+}
+
+async function launchExtension() {
+  const extensionPath = prepareExtension();
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: [
+      `--disable-extensions-except=${extensionPath}`,
+      `--load-extension=${extensionPath}`,
+      "--autoplay-policy=no-user-gesture-required",
+      "--mute-audio"
+    ]
+  });
+  const target = await browser.waitForTarget(
+    t => t.type() === "service_worker" && t.url().endsWith("/background.js")
+  );
+  const worker = await target.worker();
+  const extensionId = new URL(target.url()).host;
+  const close = async () => {
+    await browser.close();
+    fs.rmSync(extensionPath, { recursive: true, force: true });
+  };
+  return { browser, worker, extensionId, close };
+}
+
+/** Reset storage to defaults plus `settings`, routed through the mock server. */
+async function configureExtension(worker, mock, settings = {}) {
+  await worker.evaluate(async values => {
+    await chrome.storage.local.clear();
+    await chrome.storage.local.set(values);
+  }, {
+    api_key: "test-key",
+    api_base: `${mock.url}/openai/v1`,
+    local_fallback: false,
+    ...settings
+  });
+}
+
+async function openExtensionPage(browser, extensionId, file = "options.html") {
+  const page = await browser.newPage();
+  await page.goto(`chrome-extension://${extensionId}/${file}`);
+  return page;
+}
+
+async function clearCache(page) {
+  await page.evaluate(() => new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "cache-clear" }, resolve);
+  }));
+}
+
+async function cacheSummary(page) {
+  return page.evaluate(() => new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "cache-summary" }, resolve);
+  }));
+}
+
+async function deleteCacheEntries(page, filter) {
+  return page.evaluate(value => new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "cache-delete", filter: value }, resolve);
+  }), filter);
+}
+
+/**
+ * Drive the background port from an extension page the way the content engine
+ * does, collecting every message until "done" or "error".
+ */
+function streamChunks(page, chunks) {
+  return page.evaluate((chunkTexts, name) => new Promise(resolve => {
+    const port = chrome.runtime.connect({ name });
+    const messages = [];
+    port.onMessage.addListener(msg => {
+      messages.push({
+        type: msg.type,
+        index: msg.index,
+        error: msg.error,
+        mime: msg.result?.mime,
+        audioBytes: msg.result?.audio ? atob(msg.result.audio).length : 0,
+        words: msg.result?.words || []
+      });
+      if (msg.type === "done" || msg.type === "error") {
+        port.disconnect();
+        resolve(messages);
+      }
+    });
+    port.postMessage({ type: "start", chunks: chunkTexts });
+  }), chunks, PORT_NAME);
+}
+
+/** Start the agent in the tab showing `url`, as the toolbar button would. */
+async function startAgentRead(worker, url) {
+  await worker.evaluate(async pageUrl => {
+    const [tab] = await chrome.tabs.query({ url: pageUrl });
+    await injectEngine(tab.id);
+    await chrome.tabs.sendMessage(tab.id, { type: GROQ_MESSAGES.AGENT_START });
+  }, url);
+}
+
+/** Text of the word currently highlighted by the engine, or null. */
+function currentHighlight(page) {
+  return page.evaluate(() => {
+    const highlight = CSS.highlights.get("groq-tts-current");
+    const range = highlight && [...highlight][0];
+    return range ? range.toString() : null;
+  });
+}
+
+/** Poll the highlighted word every `intervalMs` for `durationMs`. */
+async function sampleHighlights(page, durationMs, intervalMs = 50) {
+  const samples = [];
+  const started = Date.now();
+  while (Date.now() - started < durationMs) {
+    samples.push({ at: Date.now(), word: await currentHighlight(page) });
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+  return samples;
+}
+
+async function waitForHighlight(page, timeoutMs = 10_000) {
+  await page.waitForFunction(() => CSS.highlights.has("groq-tts-current"), { timeout: timeoutMs, polling: 50 });
+}
+
+/** Wait for a toast whose text matches `pattern` and return that text. */
+async function waitForToast(page, pattern, timeoutMs = 10_000) {
+  const handle = await page.waitForFunction(source => {
+    const regex = new RegExp(source, "i");
+    const toast = [...document.querySelectorAll(".groq-tts-toast")].find(el => regex.test(el.textContent));
+    return toast ? toast.textContent : null;
+  }, { timeout: timeoutMs, polling: 50 }, pattern.source);
+  return handle.jsonValue();
+}
+
+module.exports = {
+  launchExtension,
+  configureExtension,
+  openExtensionPage,
+  clearCache,
+  cacheSummary,
+  deleteCacheEntries,
+  streamChunks,
+  startAgentRead,
+  currentHighlight,
+  sampleHighlights,
+  waitForHighlight,
+  waitForToast
+};
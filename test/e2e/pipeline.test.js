@@ -0,0 +1,334 @@
+/* End-to-end tests: the unpacked extension in headless Chromium against the
+   mock Groq server. Run with `npm run test:e2e`. */
+
+"use strict";
+
+const assert = require("node:assert/strict");
+const { after, before, beforeEach, describe, it } = require("node:test");
+
+const { startMockServer, WORD_SECONDS } = require("../mock-server.js");
+const {
+  launchExtension,
+  configureExtension,
+  openExtensionPage,
+  clearCache,
+  cacheSummary,
+  deleteCacheEntries,
+  streamChunks,
+  startAgentRead,
+  currentHighlight,
+  sampleHighlights,
+  waitForHighlight,
+  waitForToast
+} = require("./helpers.js");
+
+const normalize = text => String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+
+describe("Groq pipeline against the mock server", { timeout: 120_000 }, () => {
+  let mock;
+  let ext;
+  let extensionPage;
+  let articleUrl;
+
+  before(async () => {
+    mock = await startMockServer();
+    ext = await launchExtension();
+    extensionPage = await openExtensionPage(ext.browser, ext.extensionId);
+    articleUrl = `${mock.url}/fixtures/article.html`;
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await configureExtension(ext.worker, mock);
+    await clearCache(extensionPage);
+  });
+
+  after(async () => {
+    await ext?.close();
+    await mock?.close();
+  });
+
+  describe("port streaming", () => {
+    it("delivers every chunk in order with audio and word timings", async () => {
+      const messages = await streamChunks(extensionPage, ["Hello brave new world.", "Second chunk here."]);
+
+      assert.deepEqual(messages.map(m => m.type), ["chunk", "chunk", "done"]);
+      assert.deepEqual(messages.slice(0, 2).map(m => m.index), [0, 1]);
+      assert.equal(messages[0].mime, "audio/wav");
+      assert.ok(messages[0].audioBytes > 44);
+      assert.deepEqual(messages[0].words.map(w => w.word), ["Hello", "brave", "new", "world."]);
+      assert.equal(messages[1].words.length, 3);
+
+      assert.equal(mock.count("speech"), 2);
+      // The mock's tone bursts segment cleanly, so timings come from the audio alone
+      assert.equal(mock.count("transcriptions"), 0);
+      assert.equal(mock.requests[0].headers.authorization, "Bearer test-key");
+    });
+
+    it("synthesizes chunks in parallel and still delivers them in order", async () => {
+      mock.configure({ latencyMs: 400 });
+      const started = Date.now();
+      const messages = await streamChunks(extensionPage, ["One.", "Two.", "Three.", "Four."]);
+
+      assert.deepEqual(messages.map(m => m.index ?? m.type), [0, 1, 2, 3, "done"]);
+      assert.ok(Date.now() - started < 4 * 400, "expected overlapping TTS requests");
+    });
+
+    it("aligns words with STT when configured to", async () => {
+      await configureExtension(ext.worker, mock, { alignment_mode: "stt" });
+      const messages = await streamChunks(extensionPage, ["Hello brave new world."]);
+
+      assert.deepEqual(messages[0].words.map(w => w.word), ["Hello", "brave", "new", "world."]);
+      assert.equal(mock.count("transcriptions"), 1);
+    });
+
+    it("matches STT timings with local alignment", async () => {
+      const local = await streamChunks(extensionPage, ["Local and remote agree."]);
+      await clearCache(extensionPage);
+      await configureExtension(ext.worker, mock, { alignment_mode: "stt" });
+      const remote = await streamChunks(extensionPage, ["Local and remote agree."]);
+
+      local[0].words.forEach((word, i) => {
+        assert.ok(Math.abs(word.start - remote[0].words[i].start) <= 0.011);
+        assert.ok(Math.abs(word.end - remote[0].words[i].end) <= 0.011);
+      });
+    });
+
+    it("speaks lexicon pronunciations and times the written words", async () => {
+      await configureExtension(ext.worker, mock, {
+        pronunciations: [{ term: "Groq Cloud", spoken: "grok cloud platform", site: "" }]
+      });
+      const messages = await streamChunks(extensionPage, ["Groq Cloud is fast."]);
+
+      assert.equal(mock.requests.find(r => r.endpoint === "speech").body.input, "grok cloud platform is fast.");
+      assert.deepEqual(messages[0].words.map(w => w.word), ["Groq", "is", "fast."]);
+      // "Groq" spans all three spoken words
+      assert.ok(messages[0].words[0].end - messages[0].words[0].start > 2 * WORD_SECONDS);
+    });
+
+    it("falls back to empty word timings when STT keeps failing", async () => {
+      await configureExtension(ext.worker, mock, { alignment_mode: "stt" });
+      mock.configure({ failures: { transcriptions: 3 } });
+      const messages = await streamChunks(extensionPage, ["Timing will be estimated."]);
+
+      assert.deepEqual(messages.map(m => m.type), ["chunk", "done"]);
+      assert.deepEqual(messages[0].words, []);
+      assert.ok(messages[0].audioBytes > 44);
+    });
+  });
+
+  describe("cache", () => {
+    it("serves a repeated chunk from IndexedDB without calling the API", async () => {
+      const first = await streamChunks(extensionPage, ["Cache me once."]);
+      const again = await streamChunks(extensionPage, ["Cache me once."]);
+
+      assert.deepEqual(again.map(m => m.type), ["chunk", "done"]);
+      assert.equal(again[0].words.length, 3);
+      assert.equal(again[0].mime, "audio/wav");
+      assert.equal(again[0].audioBytes, first[0].audioBytes);
+      assert.equal(mock.count("speech"), 1);
+      assert.equal(mock.count("transcriptions"), 0);
+    });
+
+    it("keys entries by the pronunciations applied", async () => {
+      await streamChunks(extensionPage, ["Say Groq again."]);
+      await configureExtension(ext.worker, mock, { pronunciations: [{ term: "Groq", spoken: "grok", site: "" }] });
+      await streamChunks(extensionPage, ["Say Groq again."]);
+
+      assert.equal(mock.count("speech"), 2);
+    });
+
+    it("keys entries by endpoint", async () => {
+      await streamChunks(extensionPage, ["Same words, other server."]);
+      await configureExtension(ext.worker, mock, { tts_base_url: `${mock.url}/other/openai/v1` });
+      await streamChunks(extensionPage, ["Same words, other server."]);
+
+      assert.equal(mock.count("speech"), 2);
+    });
+
+    it("keys entries by voice", async () => {
+      await streamChunks(extensionPage, ["Same words, new voice."]);
+      await configureExtension(ext.worker, mock, { tts_voice: "autumn" });
+      await streamChunks(extensionPage, ["Same words, new voice."]);
+
+      assert.equal(mock.count("speech"), 2);
+    });
+
+    it("lists entries by site, model and voice and deletes them selectively", async () => {
+      await streamChunks(extensionPage, ["First voice.", "Still first."]);
+      await configureExtension(ext.worker, mock, { tts_voice: "autumn" });
+      await streamChunks(extensionPage, ["Second voice."]);
+
+      const summary = await cacheSummary(extensionPage);
+      assert.equal(summary.count, 3);
+      // Stored as Blobs: the total is the WAV bytes plus timings, not base64 text
+      const wavBytes = 3 * (44 + 2 * 16000 * 0.6);
+      assert.ok(summary.bytes >= wavBytes && summary.bytes < wavBytes * 1.1);
+      assert.deepEqual(summary.groups.map(g => `${g.voice}:${g.count}`).sort(), ["autumn:1", "troy:2"]);
+      assert.ok(summary.groups.every(g => g.origin.startsWith("chrome-extension://")));
+
+      const { deleted } = await deleteCacheEntries(extensionPage, { voice: "troy" });
+      assert.equal(deleted, 2);
+      const after = await cacheSummary(extensionPage);
+      assert.deepEqual(after.groups.map(g => g.voice), ["autumn"]);
+    });
+  });
+
+  describe("retries", () => {
+    it("retries failed TTS requests with backoff and then succeeds", async () => {
+      mock.configure({ failures: { speech: 2 } });
+      const messages = await streamChunks(extensionPage, ["Third time lucky."]);
+
+      assert.deepEqual(messages.map(m => m.type), ["chunk", "done"]);
+      assert.equal(mock.count("speech"), 3);
+      const [first, , third] = mock.requests.filter(r => r.endpoint === "speech");
+      assert.ok(third.at - first.at >= 800 + 1600 - 100, "expected exponential backoff between attempts");
+    });
+
+    it("reports an error once retries are exhausted", async () => {
+      mock.configure({ failures: { speech: 3 } });
+      const messages = await streamChunks(extensionPage, ["This never works."]);
+
+      assert.equal(messages.at(-1).type, "error");
+      assert.match(messages.at(-1).error, /mock speech failure/);
+      assert.equal(mock.count("speech"), 3);
+    });
+  });
+
+  describe("agent", () => {
+    let page;
+
+    beforeEach(async () => {
+      page = await ext.browser.newPage();
+      await page.goto(articleUrl);
+    });
+
+    it("reads the blocks chosen by the model", async () => {
+      await startAgentRead(ext.worker, articleUrl);
+      await waitForHighlight(page);
+
+      assert.equal(normalize(await currentHighlight(page)), "tide");
+      assert.equal(mock.count("chat"), 1);
+      const request = mock.requests.find(r => r.endpoint === "chat").body;
+      assert.equal(request.response_format.type, "json_schema");
+      const sent = JSON.parse(request.messages[1].content);
+      assert.ok(sent.blocks.length >= 3);
+      await page.close();
+    });
+
+    it("sends headings, short blocks and their structure to the model", async () => {
+      await startAgentRead(ext.worker, articleUrl);
+      await waitForHighlight(page);
+      await page.close();
+
+      const { blocks } = JSON.parse(mock.requests.find(r => r.endpoint === "chat").body.messages[1].content);
+      const heading = blocks.find(b => b.kind === "heading");
+      assert.equal(heading.text, "Tide pools at low water");
+      assert.equal(heading.level, 1);
+      assert.equal(heading.landmark, "article");
+      const short = blocks.find(b => b.text.startsWith("Thanks for reading"));
+      assert.equal(short.kind, "paragraph");
+      assert.equal(short.section, heading.id);
+      assert.ok(short.position > heading.position);
+      assert.ok(blocks.filter(b => b.landmark === "aside" || b.landmark === "nav").length === 0);
+    });
+
+    it("falls back to JSON mode when the model rejects the schema", async () => {
+      mock.configure({ agent: "no-schema" });
+      await startAgentRead(ext.worker, articleUrl);
+      await waitForHighlight(page);
+
+      const formats = mock.requests.filter(r => r.endpoint === "chat").map(r => r.body.response_format.type);
+      assert.deepEqual(formats, ["json_schema", "json_object"]);
+      await page.close();
+    });
+
+    it("reports other bad requests without retrying", async () => {
+      mock.configure({ agent: "bad-request" });
+      await configureExtension(ext.worker, mock, { agent_strategy: "llm" });
+      await startAgentRead(ext.worker, articleUrl);
+
+      assert.match(await waitForToast(page, /does not exist/), /Groq agent failed/);
+      assert.equal(mock.count("chat"), 1);
+      await page.close();
+    });
+
+    it("asks the model once to repair a plan with unknown block ids", async () => {
+      mock.configure({ agent: "hallucinate" });
+      await startAgentRead(ext.worker, articleUrl);
+      await waitForHighlight(page);
+
+      assert.equal(normalize(await currentHighlight(page)), "tide");
+      assert.equal(mock.count("chat"), 2);
+      const repair = mock.requests.filter(r => r.endpoint === "chat")[1].body.messages;
+      assert.match(repair.at(-1).content, /block id 999/);
+      await page.close();
+    });
+
+    it("reports an invalid plan instead of reading guessed blocks", async () => {
+      mock.configure({ agent: "garbled" });
+      await configureExtension(ext.worker, mock, { agent_strategy: "llm" });
+      await startAgentRead(ext.worker, articleUrl);
+
+      assert.match(await waitForToast(page, /invalid reading plan/), /not a JSON object/);
+      assert.equal(await currentHighlight(page), null);
+      assert.equal(mock.count("chat"), 2);
+      await page.close();
+    });
+
+    it("falls back to the local extractor when the plan stays invalid", async () => {
+      mock.configure({ agent: "garbled" });
+      await startAgentRead(ext.worker, articleUrl);
+
+      assert.match(await waitForToast(page, /main content found on this device/), /invalid reading plan/);
+      await waitForHighlight(page);
+      assert.equal(normalize(await currentHighlight(page)), "tide");
+      await page.close();
+    });
+
+    it("picks the main content on the device without calling the model", async () => {
+      await configureExtension(ext.worker, mock, { agent_strategy: "local" });
+      await startAgentRead(ext.worker, articleUrl);
+      await waitForHighlight(page);
+
+      assert.equal(normalize(await currentHighlight(page)), "tide");
+      assert.equal(mock.count("chat"), 0);
+      await page.close();
+    });
+  });
+
+  describe("highlight timing", () => {
+    it("advances word by word in step with the STT timestamps", async () => {
+      const page = await ext.browser.newPage();
+      await page.goto(articleUrl);
+      const introWords = (await page.$eval("#intro", el => el.textContent)).split(/\s+/).map(normalize);
+
+      await startAgentRead(ext.worker, articleUrl);
+      await waitForHighlight(page);
+      const samples = await sampleHighlights(page, 2500);
+      await page.close();
+
+      // Collapse consecutive samples into word changes
+      const changes = [];
+      for (const sample of samples) {
+        const word = normalize(sample.word);
+        if (word && word !== changes.at(-1)?.word) changes.push({ word, at: sample.at });
+      }
+      assert.ok(changes.length >= 5, `expected several words, saw ${changes.length}`);
+
+      // Words appear in reading order
+      let cursor = -1;
+      for (const { word } of changes) {
+        const next = introWords.indexOf(word, cursor + 1);
+        assert.ok(next > cursor, `"${word}" highlighted out of order`);
+        cursor = next;
+      }
+
+      // Each word stays lit for about one word slot of the mock audio
+      const dwell = changes.slice(1).map((c, i) => c.at - changes[i].at).sort((a, b) => a - b);
+      const median = dwell[Math.floor(dwell.length / 2)];
+      const slot = WORD_SECONDS * 1000;
+      assert.ok(median > slot * 0.6 && median < slot * 1.6, `median dwell ${median}ms, expected ~${slot}ms`);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+/* Immersive Speak — local stand-in for the Groq API used by the test suites.
+   Serves deterministic responses for the three endpoints the extension calls:
+
+     POST …/audio/speech          16 kHz mono WAV, one tone burst per word
+     POST …/audio/transcriptions  word timestamps matching that WAV
+     POST …/chat/completions      agent reading plan (mode configurable)
+
+   Point the extension's `api_base` at `${url}/openai/v1`. Responses carry
+   permissive CORS headers so no host permission is needed for localhost.
+
+   Run standalone with `node test/mock-server.js [port]`; tests use startMockServer(). */
+
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const SAMPLE_RATE = 16000;
+const WORD_SECONDS = 0.3;
+const TONE_SECONDS = 0.24;
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+const DEFAULT_CONFIG = {
+  // Number of upcoming requests to fail with HTTP 500, keyed by endpoint name
+  failures: {},
+  // "select" (main-content blocks), "empty", "garbled", "hallucinate" (an unknown id until asked to repair),
+  // "no-schema" (rejects json_schema response formats with a 400), "bad-request" (a 400 for every request) or "error"
+  agent: "select",
+  latencyMs: 0
+};
+
+// ─── Audio ───────────────────────────────────────────────────────────
+
+const splitWords = text => String(text || "").split(/\s+/).filter(Boolean);
+
+/** 16-bit PCM WAV with a tone burst followed by silence for every word. */
+function synthesizeWav(text) {
+  const words = splitWords(text);
+  const wordSamples = Math.round(WORD_SECONDS * SAMPLE_RATE);
+  const toneSamples = Math.round(TONE_SECONDS * SAMPLE_RATE);
+  const samples = Math.max(1, words.length) * wordSamples;
+  const buffer = Buffer.alloc(44 + samples * 2);
+
+  buffer.write("RIFF", 0, "ascii");
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write("WAVE", 8, "ascii");
+  buffer.write("fmt ", 12, "ascii");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36, "ascii");
+  buffer.writeUInt32LE(samples * 2, 40);
+
+  for (let w = 0; w < words.length; w++) {
+    const frequency = 220 + (w % 5) * 40;
+    for (let i = 0; i < toneSamples; i++) {
+      const value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 0.4;
+      buffer.writeInt16LE(Math.round(value * 0x7fff), 44 + (w * wordSamples + i) * 2);
+    }
+  }
+  return buffer;
+}
+
+/** The timestamps Whisper would return for synthesizeWav(text). */
+function transcribe(text) {
+  const words = splitWords(text).map((word, i) => ({
+    word,
+    start: +(i * WORD_SECONDS).toFixed(3),
+    end: +(i * WORD_SECONDS + TONE_SECONDS).toFixed(3)
+  }));
+  return { text: String(text || ""), words, segments: [] };
+}
+
+const hashOf = buffer => crypto.createHash("sha1").update(buffer).digest("hex");
+
+// ─── Request parsing ─────────────────────────────────────────────────
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    req.on("data", part => parts.push(part));
+    req.on("end", () => resolve(Buffer.concat(parts)));
+    req.on("error", reject);
+  });
+}
+
+/** Minimal multipart/form-data parser: returns { fields, files }. */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  const fields = {};
+  const files = {};
+  if (!match) return { fields, files };
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString("utf8");
+      const data = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/i.exec(headers)?.[1];
+      if (name && /filename="/i.test(headers)) files[name] = data;
+      else if (name) fields[name] = data.toString("utf8");
+    }
+    start = next;
+  }
+  return { fields, files };
+}
+
+const parseJson = body => {
+  try {
+    return JSON.parse(body.toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+};
+
+// ─── Agent ───────────────────────────────────────────────────────────
+
+/** Main-content heuristic: long, link-light blocks in page order. */
+function selectBlocks(blocks) {
+  return blocks
+    .filter(block => block.words >= 20 && (block.link_ratio || 0) < 0.3)
+    .map(block => block.id);
+}
+
+function agentContent(mode, request) {
+  if (mode === "empty") return JSON.stringify({ plan: [] });
+  if (mode === "garbled") return "Sorry, I am not able to decide which blocks are worth reading.";
+  const messages = request?.messages || [];
+  const first = messages.find(m => m.role === "user");
+  const payload = parseJson(Buffer.from(String(first?.content || "")));
+  const blocks = Array.isArray(payload?.blocks) ? payload.blocks : [];
+  const plan = selectBlocks(blocks).map(id => ({ id, action: "read" }));
+  // A repair request is the second user message
+  if (mode === "hallucinate" && messages.filter(m => m.role === "user").length < 2) {
+    plan.unshift({ id: 999, action: "read" });
+  }
+  return JSON.stringify({ plan });
+}
+
+// ─── Server ──────────────────────────────────────────────────────────
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+};
+
+const ENDPOINTS = [
+  ["speech", "/audio/speech"],
+  ["transcriptions", "/audio/transcriptions"],
+  ["chat", "/chat/completions"]
+];
+
+function startMockServer({ port = 0, host = "127.0.0.1" } = {}) {
+  let config = structuredClone(DEFAULT_CONFIG);
+  const requests = [];
+  const spoken = new Map();
+
+  const send = (res, status, body, type = "application/json") => {
+    const payload = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === "string" ? body : JSON.stringify(body));
+    res.writeHead(status, { ...CORS_HEADERS, "Content-Type": type, "Content-Length": payload.length });
+    res.end(payload);
+  };
+
+  const consumeFailure = endpoint => {
+    const remaining = config.failures[endpoint] || 0;
+    if (remaining <= 0) return false;
+    config.failures[endpoint] = remaining - 1;
+    return true;
+  };
+
+  const handleApi = async (endpoint, req, res, body) => {
+    const entry = { endpoint, at: Date.now(), headers: req.headers };
+    requests.push(entry);
+
+    if (config.latencyMs) await new Promise(r => setTimeout(r, config.latencyMs));
+    if (consumeFailure(endpoint)) {
+      entry.status = 500;
+      return send(res, 500, { error: { message: `mock ${endpoint} failure` } });
+    }
+    entry.status = 200;
+
+    if (endpoint === "speech") {
+      const json = parseJson(body) || {};
+      entry.body = json;
+      const wav = synthesizeWav(json.input);
+      spoken.set(hashOf(wav), json.input);
+      return send(res, 200, wav, "audio/wav");
+    }
+
+    if (endpoint === "transcriptions") {
+      const { fields, files } = parseMultipart(body, req.headers["content-type"]);
+      entry.body = fields;
+      const text = files.file ? spoken.get(hashOf(files.file)) : "";
+      return send(res, 200, transcribe(text || ""));
+    }
+
+    const json = parseJson(body) || {};
+    entry.body = json;
+    if (config.agent === "error") {
+      entry.status = 500;
+      return send(res, 500, { error: { message: "mock agent failure" } });
+    }
+    if (config.agent === "bad-request" || (config.agent === "no-schema" && json.response_format?.type === "json_schema")) {
+      entry.status = 400;
+      const message = config.agent === "bad-request"
+        ? "The model `mock` does not exist or you do not have access to it."
+        : "This model does not support response format `json_schema`.";
+      return send(res, 400, { error: { message } });
+    }
+    return send(res, 200, {
+      id: "mock-completion",
+      object: "chat.completion",
+      model: json.model,
+      choices: [{ index: 0, message: { role: "assistant", content: agentContent(config.agent, json) }, finish_reason: "stop" }]
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, "http://mock");
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, CORS_HEADERS);
+        return res.end();
+      }
+
+      const body = await readBody(req);
+
+      // Control endpoints for out-of-process use
+      if (pathname === "/__mock/config" && req.method === "POST") {
+        config = { ...config, ...parseJson(body) };
+        return send(res, 200, config);
+      }
+      if (pathname === "/__mock/requests") return send(res, 200, requests);
+      if (pathname === "/__mock/reset") {
+        api.reset();
+        return send(res, 200, { ok: true });
+      }
+
+      if (pathname.startsWith("/fixtures/")) {
+        const file = path.join(FIXTURES_DIR, path.basename(pathname));
+        if (!fs.existsSync(file)) return send(res, 404, "Not found", "text/plain");
+        return send(res, 200, fs.readFileSync(file), "text/html; charset=utf-8");
+      }
+
+      const endpoint = ENDPOINTS.find(([, suffix]) => pathname.endsWith(suffix))?.[0];
+      if (!endpoint || req.method !== "POST") return send(res, 404, { error: { message: "unknown endpoint" } });
+      await handleApi(endpoint, req, res, body);
+    } catch (err) {
+      send(res, 500, { error: { message: err?.message || String(err) } });
+    }
+  });
+
+  const api = {
+    server,
+    url: "",
+    requests,
+    /** Merge into the current behaviour, e.g. configure({ failures: { speech: 2 } }). */
+    configure(patch) {
+      config = { ...config, ...patch, failures: { ...config.failures, ...patch?.failures } };
+    },
+    reset() {
+      config = structuredClone(DEFAULT_CONFIG);
+      requests.length = 0;
+      spoken.clear();
+    },
+    count(endpoint) {
+      return requests.filter(entry => entry.endpoint === endpoint).length;
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      api.url = `http://${host}:${server.address().port}`;
+      resolve(api);
+    });
+  });
+}
+
+module.exports = {
+  startMockServer,
+  synthesizeWav,
+  transcribe,
+  SAMPLE_RATE,
+  WORD_SECONDS,
+  TONE_SECONDS
+};
+
+if (require.main === module) {
+  startMockServer({ port: Number(process.argv[2]) || 8787 }).then(mock => {
+    console.log(`Mock Groq API listening on ${mock.url} — set API base to ${mock.url}/openai/v1`);
+  });
+}
@@ -0,0 +1,166 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const {
+  AGENT_MAX_BLOCKS,
+  AGENT_PLAN_SCHEMA,
+  agentMaxTokens,
+  trimAgentBlocks,
+  validateAgentPlan,
+  agentRepairPrompt,
+  extractJsonObject
+} = require("../../agent-core.js");
+
+const BLOCKS = [
+  { id: 0, kind: "heading" },
+  { id: 1, kind: "paragraph" },
+  { id: 2, kind: "table" },
+  { id: 3, kind: "caption" }
+];
+const validate = reply => validateAgentPlan(typeof reply === "string" ? reply : JSON.stringify(reply), BLOCKS);
+
+describe("validateAgentPlan", () => {
+  it("accepts a structured plan and lists its ids in order", () => {
+    const result = validate({
+      plan: [
+        { id: 0, action: "announce" },
+        { id: 0, action: "read_section" },
+        { id: 2, action: "read_table", strategy: "rows" },
+        { id: 3, action: "read_figure" }
+      ]
+    });
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.readIds, [0, 2, 3]);
+    assert.deepEqual(result.plan[2], { id: 2, action: "read_table", strategy: "rows" });
+  });
+
+  it("accepts an empty plan", () => {
+    assert.deepEqual(validate({ plan: [] }), { ok: true, plan: [], readIds: [] });
+  });
+
+  it("defaults a table without a strategy to whole", () => {
+    assert.deepEqual(validate({ plan: [{ id: 2, action: "read_table" }] }).plan, [{ id: 2, action: "read_table", strategy: "whole" }]);
+  });
+
+  it("rejects ids that were not sent", () => {
+    const result = validate({ plan: [{ id: 1, action: "read" }, { id: 42, action: "read" }, { id: "1", action: "read" }] });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors, [
+      "step 1 uses block id 42, which was not sent",
+      'step 2 uses block id "1", which was not sent'
+    ]);
+  });
+
+  it("rejects unknown actions, strategies and actions on the wrong kind of block", () => {
+    const result = validate({
+      plan: [
+        { id: 1, action: "sing" },
+        { id: 2, action: "read_table", strategy: "diagonal" },
+        { id: 1, action: "read_section" }
+      ]
+    });
+    assert.deepEqual(result.errors, [
+      'step 0 has unknown action "sing"',
+      'step 1 has unknown table strategy "diagonal"',
+      "step 2 uses read_section on block 1, which is a paragraph, not a heading"
+    ]);
+  });
+
+  it("rejects replies without a plan instead of guessing ids from the text", () => {
+    assert.deepEqual(validate("Read blocks 1 and 2."), { ok: false, errors: ["the reply is not a JSON object"] });
+    assert.deepEqual(validate('{"plan":[{"id":1,"action":"read"}'), { ok: false, errors: ["the reply is not a JSON object"] });
+    assert.deepEqual(validate({ read_ids: [1] }), { ok: false, errors: ['the reply has no "plan" array'] });
+    assert.deepEqual(validate("[1, 2]"), { ok: false, errors: ["the reply is not a JSON object"] });
+    assert.equal(validate("").ok, false);
+  });
+
+  it("extracts the plan from a fenced code block or surrounding prose", () => {
+    const fenced = "```json\n{\"plan\": [{\"id\": 1, \"action\": \"read\"}]}\n```";
+    assert.deepEqual(validate(fenced).readIds, [1]);
+    assert.deepEqual(validate('Sure! {"plan":[{"id":3,"action":"read"}]} — enjoy.').readIds, [3]);
+  });
+});
+
+describe("agentRepairPrompt", () => {
+  it("lists every problem", () => {
+    const prompt = agentRepairPrompt(["step 1 uses block id 42, which was not sent", 'step 2 has unknown action "x"']);
+    assert.match(prompt, /^Your reading plan is invalid:/);
+    assert.match(prompt, /- step 1 uses block id 42/);
+    assert.match(prompt, /- step 2 has unknown action/);
+  });
+});
+
+describe("agentMaxTokens", () => {
+  it("leaves room for two steps per block", () => {
+    assert.ok(agentMaxTokens(AGENT_MAX_BLOCKS) >= 2 * AGENT_MAX_BLOCKS * 16);
+    assert.ok(agentMaxTokens(AGENT_MAX_BLOCKS) > agentMaxTokens(10));
+    assert.ok(agentMaxTokens(0) > 0);
+  });
+});
+
+describe("AGENT_PLAN_SCHEMA", () => {
+  it("requires a plan of id and action steps", () => {
+    assert.deepEqual(AGENT_PLAN_SCHEMA.required, ["plan"]);
+    assert.deepEqual(AGENT_PLAN_SCHEMA.properties.plan.items.required, ["id", "action"]);
+    assert.ok(AGENT_PLAN_SCHEMA.properties.plan.items.properties.action.enum.includes("read_section"));
+  });
+});
+
+describe("extractJsonObject", () => {
+  it("slices from the first { to the last }", () => {
+    assert.equal(extractJsonObject('Here: {"read_ids":[1]} done'), '{"read_ids":[1]}');
+  });
+
+  it("returns an empty string without an object", () => {
+    assert.equal(extractJsonObject("no json"), "");
+    assert.equal(extractJsonObject("} backwards {"), "");
+  });
+});
+
+describe("trimAgentBlocks", () => {
+  const block = (id, extra = {}) => ({ id, kind: "paragraph", tag: "p", words: 20, text: "text", ...extra });
+
+  it("keeps known fields and caps the text", () => {
+    const [out] = trimAgentBlocks([block(0, { text: "x".repeat(500), element: {}, landmark: "main", section: 3 })]);
+    assert.equal(out.text.length, 400);
+    assert.equal(out.element, undefined);
+    assert.equal(out.landmark, "main");
+    assert.equal(out.section, 3);
+  });
+
+  it("sends heading levels and parents, tables and figures", () => {
+    const [heading, table, caption] = trimAgentBlocks([
+      block(0, { kind: "heading", tag: "h2", level: 2, parent: null }),
+      block(1, { kind: "table", table: { rows: 4, cols: 2, caption: "Prices", headers: ["Item", "Cost"] } }),
+      block(2, { kind: "caption", figure: { alt: "A chart" } })
+    ]);
+    assert.equal(heading.level, 2);
+    assert.equal(heading.parent, null);
+    assert.deepEqual(table.table, { rows: 4, cols: 2, caption: "Prices", headers: ["Item", "Cost"] });
+    assert.deepEqual(caption.figure, { alt: "A chart" });
+  });
+
+  it("sanitizes unknown kinds and landmarks", () => {
+    const [out] = trimAgentBlocks([block(0, { kind: "widget", landmark: "sidebar" })]);
+    assert.equal(out.kind, "block");
+    assert.equal(out.landmark, "");
+  });
+
+  it("keeps headings and the longest blocks, in document order, when there are too many", () => {
+    const blocks = [];
+    for (let i = 0; i < AGENT_MAX_BLOCKS + 10; i++) blocks.push(block(i, { words: i }));
+    blocks[1] = block(1, { kind: "heading", words: 1 });
+    const trimmed = trimAgentBlocks(blocks);
+    assert.equal(trimmed.length, AGENT_MAX_BLOCKS);
+    assert.equal(trimmed[0].id, 1);
+    assert.equal(trimmed[1].id, 11);
+    assert.ok(trimmed.every((b, i) => !i || b.id > trimmed[i - 1].id));
+  });
+
+  it("drops blocks without an id", () => {
+    assert.deepEqual(trimAgentBlocks([{ text: "x" }, null]), []);
+    assert.deepEqual(trimAgentBlocks(undefined), []);
+  });
+});
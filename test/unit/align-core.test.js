@@ -0,0 +1,99 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const {
+  LOCAL_ALIGN_MIN_CONFIDENCE,
+  parseWavPcm,
+  measureFrameEnergy,
+  findPauses,
+  alignTokensToPauses,
+  alignAudioLocally
+} = require("../../align-core.js");
+const { synthesizeWav, transcribe, SAMPLE_RATE } = require("../mock-server.js");
+
+const toArrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+const wavFor = text => toArrayBuffer(synthesizeWav(text));
+const tokens = text => text.split(/\s+/).filter(Boolean);
+
+/** Close enough to the mock's exact timings given 10 ms frames. */
+const assertTimings = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((word, i) => {
+    assert.equal(word.word, expected[i].word);
+    assert.ok(Math.abs(word.start - expected[i].start) <= 0.011, `${word.word} start ${word.start}`);
+    assert.ok(Math.abs(word.end - expected[i].end) <= 0.011, `${word.word} end ${word.end}`);
+  });
+};
+
+describe("parseWavPcm", () => {
+  it("decodes 16-bit mono PCM", () => {
+    const pcm = parseWavPcm(wavFor("one two"));
+    assert.equal(pcm.sampleRate, SAMPLE_RATE);
+    assert.equal(pcm.samples.length, SAMPLE_RATE * 0.6);
+    assert.ok(Math.max(...pcm.samples.slice(0, 400)) > 0.3);
+  });
+
+  it("returns null for non-WAV audio", () => {
+    assert.equal(parseWavPcm(new Uint8Array(64).buffer), null);
+    assert.equal(parseWavPcm(null), null);
+  });
+});
+
+describe("findPauses", () => {
+  it("finds the silence between words inside the speech span", () => {
+    const pcm = parseWavPcm(wavFor("one two three"));
+    const analysis = findPauses(measureFrameEnergy(pcm.samples, pcm.sampleRate));
+    assert.equal(analysis.speechStart, 0);
+    assert.ok(Math.abs(analysis.speechEnd - 0.84) < 0.011);
+    assert.equal(analysis.pauses.length, 2);
+    assert.ok(Math.abs(analysis.pauses[0].start - 0.24) < 0.011);
+    assert.ok(Math.abs(analysis.pauses[0].end - 0.3) < 0.011);
+  });
+
+  it("returns null for silence", () => {
+    assert.equal(findPauses(new Float32Array(50).fill(-180)), null);
+  });
+});
+
+describe("alignTokensToPauses", () => {
+  it("interpolates gaps without a pause by token length", () => {
+    const { words, confidence } = alignTokensToPauses(["ab", "abcd"], { speechStart: 0, speechEnd: 1, pauses: [] });
+    assert.deepEqual(words.map(w => w.word), ["ab", "abcd"]);
+    assert.equal(words[0].end, words[1].start);
+    assert.ok(words[0].end > 0.3 && words[0].end < 0.45);
+    assert.equal(confidence, 0);
+  });
+
+  it("is confident for a single word", () => {
+    const { words, confidence } = alignTokensToPauses(["Hello"], { speechStart: 0.1, speechEnd: 0.5, pauses: [] });
+    assert.deepEqual(words, [{ word: "Hello", start: 0.1, end: 0.5 }]);
+    assert.equal(confidence, 1);
+  });
+});
+
+describe("alignAudioLocally", () => {
+  it("matches the STT timings for cleanly separated words", () => {
+    const text = "Hello brave new world.";
+    const result = alignAudioLocally(wavFor(text), tokens(text));
+    assert.ok(result.confidence >= LOCAL_ALIGN_MIN_CONFIDENCE);
+    assertTimings(result.words, transcribe(text).words);
+  });
+
+  it("uses the pause after punctuation", () => {
+    const text = "Stop. Then, after a while, go on.";
+    const result = alignAudioLocally(wavFor(text), tokens(text));
+    assert.equal(result.confidence, 1);
+    assertTimings(result.words, transcribe(text).words);
+  });
+
+  it("has low confidence when the audio has many more pauses than the text", () => {
+    const result = alignAudioLocally(wavFor("one two three four five six seven eight"), ["one", "two", "three"]);
+    assert.ok(result.confidence < LOCAL_ALIGN_MIN_CONFIDENCE);
+  });
+
+  it("returns null for audio it cannot decode", () => {
+    assert.equal(alignAudioLocally(new Uint8Array(128).buffer, ["word"]), null);
+  });
+});
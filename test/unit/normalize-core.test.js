@@ -0,0 +1,190 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const {
+  BUILTIN_IDS,
+  createNormalizer,
+  normalizeWords,
+  isShouting,
+  lexiconForSite,
+  lexiconMatches,
+  applyLexicon
+} = require("../../normalize-core.js");
+const { segmentWords, buildTimingMap } = require("../../speech-core.js");
+
+const say = (word, options) => createNormalizer(options)(word);
+
+describe("createNormalizer built-in rules", () => {
+  it("reads amounts of money", () => {
+    assert.equal(say("$1.2M"), "1.2 million dollars");
+    assert.equal(say("$3.50"), "3 dollars 50 cents");
+    assert.equal(say("$1"), "1 dollar");
+    assert.equal(say("£2.01"), "2 pounds 1 penny");
+    assert.equal(say("€1,500"), "1500 euros");
+  });
+
+  it("reads numbers with suffixes, percentages, ranges and ordinals", () => {
+    assert.equal(say("10k"), "10 thousand");
+    assert.equal(say("12%"), "12 percent");
+    assert.equal(say("10-20"), "10 to 20");
+    assert.equal(say("#1"), "number 1");
+    assert.equal(say("1990"), "1990");
+  });
+
+  it("reads dates month first, or day first in day-first regions", () => {
+    assert.equal(say("2024-03-05"), "March 5, 2024");
+    assert.equal(say("3/5/2024"), "March 5, 2024");
+    assert.equal(say("3/5/2024", { lang: "en-GB" }), "3 May 2024");
+    assert.equal(say("2024-13-05"), "2024-13-05");
+  });
+
+  it("reads fractions", () => {
+    assert.equal(say("3/4"), "3 quarters");
+    assert.equal(say("1/2"), "one half");
+    assert.equal(say("½"), "one half");
+    assert.equal(say("7/64"), "7/64");
+  });
+
+  it("reads web and email addresses", () => {
+    assert.equal(say("https://www.example.com/path?q=1"), "example dot com");
+    assert.equal(say("docs.example.org"), "docs dot example dot org");
+    assert.equal(say("jane.doe@example.com"), "jane doe at example dot com");
+    assert.equal(say("e.g."), "e.g.");
+  });
+
+  it("spells out acronyms but not words in capitals", () => {
+    assert.equal(say("FBI"), "F B I");
+    assert.equal(say("CEOs"), "C E Os");
+    assert.equal(say("U.S."), "U S.");
+    assert.equal(say("NASA"), "NASA");
+    assert.equal(say("I"), "I");
+  });
+
+  it("drops emoji and reads & between letters", () => {
+    assert.equal(say("🎉"), "");
+    assert.equal(say("great!👍"), "great!");
+    assert.equal(say("R&D"), "R and D");
+  });
+
+  it("keeps the punctuation around a rewritten word", () => {
+    assert.equal(say("($1.2M),"), "(1.2 million dollars),");
+    assert.equal(say("FBI."), "F B I.");
+    assert.equal(say("…"), "…");
+  });
+
+  it("leaves other languages alone", () => {
+    assert.equal(say("$5", { lang: "fr-FR" }), "$5");
+    assert.equal(say("FBI", { lang: "de" }), "FBI");
+  });
+
+  it("skips rules that are turned off", () => {
+    assert.equal(say("FBI", { builtins: { acronyms: false } }), "FBI");
+    assert.equal(say("12%", { builtins: { acronyms: false } }), "12 percent");
+  });
+
+  it("lists every built-in rule", () => {
+    assert.deepEqual(BUILTIN_IDS, ["emoji", "urls", "dates", "currency", "numbers", "fractions", "acronyms", "symbols"]);
+  });
+});
+
+describe("createNormalizer custom rules", () => {
+  it("applies user rules before the built-in ones, in any language", () => {
+    const rules = [{ pattern: "^GIF$", replacement: "jif" }];
+    assert.equal(say("GIF", { rules }), "jif");
+    assert.equal(say("GIF", { rules, lang: "es" }), "jif");
+    assert.equal(say("JPG", { rules }), "J P G");
+  });
+
+  it("supports flags and capture groups", () => {
+    const rules = [{ pattern: "(\\d+)km", replacement: "$1 kilometres", flags: "gi" }];
+    assert.equal(say("42KM", { rules }), "42 kilometres");
+  });
+
+  it("ignores invalid and disabled rules", () => {
+    const rules = [{ pattern: "(", replacement: "x" }, { pattern: "FBI", replacement: "feds", enabled: false }];
+    assert.equal(say("FBI", { rules }), "F B I");
+  });
+});
+
+describe("normalizeWords", () => {
+  it("returns one spoken form per word", () => {
+    assert.deepEqual(normalizeWords(["Up", "12%", "🎉"]), ["Up", "12 percent", ""]);
+  });
+
+  it("does not spell out words in an all-caps block", () => {
+    assert.ok(isShouting(["BREAKING", "NEWS", "TODAY"]));
+    assert.deepEqual(normalizeWords(["THE", "CAT", "SAT"]), ["THE", "CAT", "SAT"]);
+    assert.deepEqual(normalizeWords(["The", "FBI", "said"]), ["The", "F B I", "said"]);
+  });
+
+  it("leaves the words at the indices in keep as written", () => {
+    assert.deepEqual(normalizeWords(["AWS,", "runs", "on", "AWS"], { keep: new Set([0]) }), ["AWS,", "runs", "on", "A W S"]);
+  });
+});
+
+describe("lexiconForSite", () => {
+  const entries = [
+    { term: "Groq", spoken: "grok" },
+    { term: "Groq Cloud", spoken: "grok cloud" },
+    { term: "GROQ", spoken: "G R O Q", site: "example.com" },
+    { term: "Kubernetes", spoken: "koo ber net ees", site: "docs.other.org" },
+    { term: "", spoken: "nothing" },
+    { term: "blank", spoken: " " }
+  ];
+
+  it("keeps global entries and the site's own, longest terms first", () => {
+    const lexicon = lexiconForSite(entries, "news.example.com");
+    assert.deepEqual(lexicon.map(e => e.spoken), ["grok cloud", "G R O Q"]);
+    assert.deepEqual(lexicon[0].tokens, ["groq", "cloud"]);
+  });
+
+  it("matches the site without www and falls back to global entries elsewhere", () => {
+    assert.deepEqual(lexiconForSite(entries, "www.example.com").map(e => e.spoken), ["grok cloud", "G R O Q"]);
+    assert.deepEqual(lexiconForSite(entries, "example.org").map(e => e.spoken), ["grok cloud", "grok"]);
+    assert.deepEqual(lexiconForSite(entries, "").map(e => e.spoken), ["grok cloud", "grok"]);
+  });
+
+  it("marks only the words of matched terms", () => {
+    const lexicon = lexiconForSite(entries, "");
+    const words = ["Groq", "Cloud,", "a", "cloud", "of", "(groq)"];
+    assert.deepEqual([...lexiconMatches(words, lexicon)], [0, 1, 5]);
+    assert.deepEqual([...lexiconMatches(["FBI", "cloud"], lexicon)], []);
+  });
+});
+
+describe("applyLexicon", () => {
+  const lexicon = lexiconForSite([
+    { term: "Kubernetes", spoken: "koo ber net ees" },
+    { term: "Groq Cloud", spoken: "grok cloud" }
+  ], "");
+  const apply = text => applyLexicon(text, segmentWords(text, "en"), lexicon);
+
+  it("substitutes terms ignoring case and keeping punctuation", () => {
+    const result = apply("Run (kubernetes) on Groq Cloud.");
+    assert.equal(result.text, "Run (koo ber net ees) on grok cloud.");
+    assert.deepEqual(result.applied, [
+      { term: "Kubernetes", spoken: "koo ber net ees" },
+      { term: "Groq Cloud", spoken: "grok cloud" }
+    ]);
+    assert.deepEqual(result.words.map(w => w.spoken), [undefined, "(koo ber net ees)", undefined, "grok cloud.", ""]);
+  });
+
+  it("returns the text untouched when nothing matches", () => {
+    const result = apply("Plain  words here.");
+    assert.equal(result.text, "Plain  words here.");
+    assert.deepEqual(result.applied, []);
+  });
+
+  it("lets timings of the spoken text map back to the original words", () => {
+    const result = apply("Deploy Kubernetes today.");
+    const heard = result.text.split(" ").map((word, i) => ({ word, start: i / 10, end: (i + 1) / 10 }));
+    const map = buildTimingMap(result.words, heard);
+    assert.deepEqual(map.map(e => [result.words[e.wordIndex].text, e.start, e.end]), [
+      ["Deploy", 0, 0.1],
+      ["Kubernetes", 0.1, 0.5],
+      ["today.", 0.5, 0.6]
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { createChunkPipeline } = require("../../pipeline-core.js");
+
+/** A task whose chunks finish only when the test resolves them, in any order. */
+const controllableTask = () => {
+  const pending = new Map();
+  const started = [];
+  let active = 0;
+  let peak = 0;
+  const task = (index, signal) => new Promise((resolve, reject) => {
+    started.push(index);
+    active += 1;
+    peak = Math.max(peak, active);
+    const finish = fn => value => { active -= 1; pending.delete(index); fn(value); };
+    pending.set(index, { resolve: finish(resolve), reject: finish(reject) });
+    signal?.addEventListener("abort", () => pending.get(index)?.reject(new Error("aborted")));
+  });
+  return {
+    task,
+    started,
+    get peak() { return peak; },
+    finish: (index, value = `r${index}`) => pending.get(index).resolve(value),
+    fail: (index, err) => pending.get(index).reject(err)
+  };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe("createChunkPipeline", () => {
+  it("delivers results in order when chunks finish out of order", async () => {
+    const ctl = controllableTask();
+    const delivered = [];
+    const pipeline = createChunkPipeline({
+      count: 3,
+      concurrency: 3,
+      task: ctl.task,
+      deliver: (index, result) => delivered.push([index, result])
+    });
+    const run = pipeline.run();
+    await tick();
+
+    ctl.finish(2);
+    ctl.finish(1);
+    await tick();
+    assert.deepEqual(delivered, []);
+
+    ctl.finish(0);
+    await run;
+    assert.deepEqual(delivered, [[0, "r0"], [1, "r1"], [2, "r2"]]);
+  });
+
+  it("never runs more than `concurrency` tasks at once", async () => {
+    const ctl = controllableTask();
+    const pipeline = createChunkPipeline({ count: 6, concurrency: 2, task: ctl.task, deliver: () => {} });
+    const run = pipeline.run();
+    for (let i = 0; i < 6; i++) {
+      await tick();
+      ctl.finish(i);
+    }
+    await run;
+    assert.equal(ctl.peak, 2);
+    assert.deepEqual(ctl.started, [0, 1, 2, 3, 4, 5]);
+  });
+
+  it("stays within the lookahead window of the playing chunk", async () => {
+    const ctl = controllableTask();
+    const pipeline = createChunkPipeline({ count: 8, concurrency: 4, lookahead: 2, task: ctl.task, deliver: () => {} });
+    const run = pipeline.run();
+    await tick();
+    assert.deepEqual(ctl.started, [0, 1]);
+
+    ctl.finish(0);
+    ctl.finish(1);
+    await tick();
+    assert.deepEqual(ctl.started, [0, 1], "waits for playback before going further");
+
+    pipeline.advance(0);
+    await tick();
+    assert.deepEqual(ctl.started, [0, 1, 2]);
+
+    pipeline.advance(3);
+    await tick();
+    assert.deepEqual(ctl.started, [0, 1, 2, 3, 4, 5]);
+
+    pipeline.advance(7);
+    for (const index of [2, 3, 4, 5, 6, 7]) {
+      await tick();
+      ctl.finish(index);
+    }
+    await run;
+    assert.equal(pipeline.delivered, 8);
+  });
+
+  it("ignores positions that move backwards", async () => {
+    const ctl = controllableTask();
+    const pipeline = createChunkPipeline({ count: 5, concurrency: 5, lookahead: 1, task: ctl.task, deliver: () => {} });
+    pipeline.run();
+    pipeline.advance(2);
+    pipeline.advance(0);
+    await tick();
+    assert.deepEqual(ctl.started, [0, 1, 2, 3]);
+  });
+
+  it("rejects with the first task error and stops delivering", async () => {
+    const ctl = controllableTask();
+    const delivered = [];
+    const pipeline = createChunkPipeline({ count: 3, concurrency: 3, task: ctl.task, deliver: i => delivered.push(i) });
+    const run = pipeline.run();
+    await tick();
+
+    ctl.fail(1, new Error("TTS failed"));
+    await assert.rejects(run, /TTS failed/);
+    ctl.finish(0);
+    await tick();
+    assert.deepEqual(delivered, []);
+  });
+
+  it("rejects with a DeliveryError when deliver throws", async () => {
+    const ctl = controllableTask();
+    const pipeline = createChunkPipeline({
+      count: 2,
+      concurrency: 2,
+      task: ctl.task,
+      deliver: () => { throw new Error("port closed"); }
+    });
+    const run = pipeline.run();
+    await tick();
+
+    ctl.finish(0);
+    await assert.rejects(run, { name: "DeliveryError", message: /chunk 0 failed: port closed/ });
+  });
+
+  it("rejects with an AbortError when the signal aborts", async () => {
+    const ctl = controllableTask();
+    const controller = new AbortController();
+    const pipeline = createChunkPipeline({
+      count: 4,
+      concurrency: 2,
+      task: ctl.task,
+      deliver: () => {},
+      signal: controller.signal
+    });
+    const run = pipeline.run();
+    await tick();
+    controller.abort();
+
+    await assert.rejects(run, { name: "AbortError" });
+    await tick();
+    assert.deepEqual(ctl.started, [0, 1]);
+  });
+
+  it("resolves immediately without chunks", async () => {
+    await createChunkPipeline({ count: 0, task: () => assert.fail("no task expected"), deliver: () => {} }).run();
+  });
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const { scoreBlock, extractMainContent } = require("../../readability-core.js");
+
+const prose = (words, commas = 0) => `${"word ".repeat(words).trim()}${",".repeat(commas)}`;
+const block = (id, fields = {}) => ({
+  id,
+  kind: "paragraph",
+  words: 40,
+  link_ratio: 0,
+  landmark: "article",
+  depth: 6,
+  text: prose(40, 2),
+  ...fields
+});
+
+// A typical page: site header, navigation, the article with a heading, a
+// figure and a table, then related links and a footer
+const PAGE = [
+  block(0, { kind: "heading", landmark: "header", depth: 3, words: 3, text: "Example News" }),
+  block(1, { kind: "list_item", landmark: "nav", depth: 5, words: 6, link_ratio: 1, text: "Home News About" }),
+  block(2, { kind: "heading", level: 1, words: 5, depth: 5, text: "Tide pools at low water" }),
+  block(3, { words: 60, text: prose(60, 4) }),
+  block(4, { words: 90, text: prose(90, 6) }),
+  block(5, { kind: "caption", words: 6, depth: 7, text: "A crab under a rock", figure: { alt: "Shore crab" } }),
+  block(6, { kind: "table", words: 30, depth: 6, text: "Species | Count" }),
+  block(7, { words: 50, text: prose(50, 3) }),
+  block(8, { kind: "heading", level: 2, words: 2, depth: 5, text: "Related" }),
+  block(9, { landmark: "aside", words: 12, link_ratio: 0.9, depth: 4, text: "Rock pools, Kelp forests" }),
+  block(10, { landmark: "footer", words: 14, depth: 3, text: "Copyright the example authors" })
+];
+
+describe("scoreBlock", () => {
+  it("rewards long, comma-rich text", () => {
+    assert.ok(scoreBlock(block(0, { words: 80, text: prose(80, 5) })) > scoreBlock(block(0, { words: 20, text: prose(20) })));
+    assert.ok(scoreBlock(block(0, { text: prose(40, 3) })) > scoreBlock(block(0, { text: prose(40) })));
+  });
+
+  it("discounts link text and page chrome", () => {
+    const base = scoreBlock(block(0));
+    assert.equal(scoreBlock(block(0, { link_ratio: 1 })), 0);
+    assert.ok(scoreBlock(block(0, { link_ratio: 0.5 })) < base);
+    assert.ok(scoreBlock(block(0, { landmark: "nav" })) < scoreBlock(block(0, { landmark: "" })));
+    assert.ok(scoreBlock(block(0, { landmark: "" })) < base);
+  });
+
+  it("gives headings no content score of their own", () => {
+    assert.equal(scoreBlock(block(0, { kind: "heading" })), 0);
+  });
+});
+
+describe("extractMainContent", () => {
+  it("reads the article in document order and leaves page chrome out", () => {
+    const { plan, readIds } = extractMainContent(PAGE);
+    assert.deepEqual(readIds, [2, 3, 4, 5, 6, 7]);
+    assert.deepEqual(plan[3], { id: 5, action: "read_figure" });
+    assert.deepEqual(plan[0], { id: 2, action: "read" });
+  });
+
+  it("stops at blocks far from the article's depth", () => {
+    const page = [block(0), block(1, { words: 90, text: prose(90, 5) }), block(2, { depth: 12 }), block(3, { depth: 1 })];
+    assert.deepEqual(extractMainContent(page).readIds, [0, 1]);
+  });
+
+  it("bridges a couple of weak blocks but not a long run of them", () => {
+    const weak = id => block(id, { words: 4, link_ratio: 1, text: "Share on social media" });
+    const page = [block(0), weak(1), weak(2), block(3), weak(4), weak(5), weak(6), block(7)];
+    assert.deepEqual(extractMainContent(page).readIds, [0, 3]);
+  });
+
+  it("still finds content on pages without landmarks", () => {
+    const page = PAGE.map(b => ({ ...b, landmark: "" }));
+    assert.ok(extractMainContent(page).readIds.includes(4));
+  });
+
+  it("returns an empty plan when nothing has content", () => {
+    assert.deepEqual(extractMainContent([]), { plan: [], readIds: [] });
+    assert.deepEqual(extractMainContent([block(0, { kind: "heading" }), block(1, { link_ratio: 1 })]), { plan: [], readIds: [] });
+    assert.deepEqual(extractMainContent(null), { plan: [], readIds: [] });
+  });
+});
@@ -0,0 +1,475 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+const {
+  primaryLanguage,
+  detectTextScript,
+  resolveLanguage,
+  segmentWords,
+  wordJoiner,
+  joinWords,
+  normalizeWord,
+  isAbbreviation,
+  isSentenceEnd,
+  findSentenceEnds,
+  chunkTokens,
+  buildTimingMap,
+  normalizeTimingMap,
+  findWordIndexByTime
+} = require("../../speech-core.js");
+
+const toWords = text => text.split(/\s+/).filter(Boolean).map(t => ({ text: t }));
+const stt = (...entries) => entries.map(([word, start, end]) => ({ word, start, end }));
+const texts = chunks => chunks.map(c => c.text);
+const segmentTexts = (text, locale) => segmentWords(text, locale).map(w => w.text);
+
+/** Segment like mapWords does and return tokens with their joiners. */
+const segmentTokens = (text, locale) => {
+  const words = segmentWords(text, locale);
+  return {
+    tokens: words.map(w => w.text),
+    joiners: words.map((w, i) => (i ? wordJoiner(words[i - 1].text, w.text, /\s/.test(text.slice(words[i - 1].end, w.start))) : ""))
+  };
+};
+
+describe("primaryLanguage", () => {
+  it("returns the lowercase primary subtag", () => {
+    assert.equal(primaryLanguage("pt-BR"), "pt");
+    assert.equal(primaryLanguage("ZH_hant"), "zh");
+    assert.equal(primaryLanguage(""), "");
+  });
+});
+
+describe("detectTextScript", () => {
+  it("reports the dominant script", () => {
+    assert.equal(detectTextScript("Привет, как дела?"), "Cyrillic");
+    assert.equal(detectTextScript("我们今天去北京。"), "Han");
+    assert.equal(detectTextScript("Hello there"), "Latin");
+  });
+
+  it("tells Japanese from Chinese by its kana", () => {
+    assert.equal(detectTextScript("今日は良い天気ですね。"), "Kana");
+  });
+
+  it("returns an empty string without letters", () => {
+    assert.equal(detectTextScript("123 — 456"), "");
+  });
+});
+
+describe("resolveLanguage", () => {
+  it("keeps the declared language when the script agrees", () => {
+    assert.equal(resolveLanguage("en-GB", "Colour and flavour"), "en-GB");
+    assert.equal(resolveLanguage("zh-TW", "我們今天去台北。"), "zh-TW");
+    assert.equal(resolveLanguage("uk", "Добрий день"), "uk");
+  });
+
+  it("overrides the declared language when the text is in another script", () => {
+    assert.equal(resolveLanguage("en", "今日は良い天気ですね。"), "ja");
+    assert.equal(resolveLanguage("en", "Привет, как дела?"), "ru");
+  });
+
+  it("detects a language without a declaration only from the script", () => {
+    assert.equal(resolveLanguage("", "สวัสดีครับ"), "th");
+    assert.equal(resolveLanguage("", "Hello there"), "");
+  });
+});
+
+describe("segmentWords", () => {
+  it("splits spaced text on whitespace and keeps offsets", () => {
+    const words = segmentWords("Hello  brave world", "en");
+    assert.deepEqual(words, [
+      { start: 0, end: 5, text: "Hello" },
+      { start: 7, end: 12, text: "brave" },
+      { start: 13, end: 18, text: "world" }
+    ]);
+  });
+
+  it("attaches punctuation to the word it touches", () => {
+    assert.deepEqual(segmentTexts("“Quoted,” (paren) $1.2M well-known", "en"), ["“Quoted,”", "(paren)", "$1.2M", "well-known"]);
+  });
+
+  it("keeps dotted abbreviations and contractions whole", () => {
+    assert.deepEqual(segmentTexts("e.g. the U.S. don’t", "en"), ["e.g.", "the", "U.S.", "don’t"]);
+  });
+
+  it("drops punctuation standing alone between spaces", () => {
+    assert.deepEqual(segmentTexts("Wait — what", "en"), ["Wait", "what"]);
+  });
+
+  it("splits Japanese into words and keeps 。 on the last one", () => {
+    assert.deepEqual(segmentTexts("今日は良い天気ですね。", "ja"), ["今日", "は", "良い", "天気", "です", "ね。"]);
+  });
+
+  it("splits Chinese and Thai without spaces", () => {
+    assert.deepEqual(segmentTexts("我们今天去北京。", "zh"), ["我们", "今天", "去", "北京。"]);
+    assert.deepEqual(segmentTexts("สวัสดีครับ", "th"), ["สวัสดี", "ครับ"]);
+  });
+});
+
+describe("wordJoiner / joinWords", () => {
+  it("uses no separator inside unspaced scripts", () => {
+    assert.equal(wordJoiner("今日", "は", false), "");
+    assert.equal(wordJoiner("ね。", "明日", false), "");
+  });
+
+  it("uses a space for spaced scripts and explicit whitespace", () => {
+    assert.equal(wordJoiner("Hello", "world", false), " ");
+    assert.equal(wordJoiner("東京", "大阪", true), " ");
+  });
+
+  it("rebuilds text from words and joiners", () => {
+    const { tokens, joiners } = segmentTokens("今日は晴れ。Then English.", "ja");
+    assert.equal(joinWords(tokens.map((text, i) => ({ text, joiner: joiners[i] }))), "今日は晴れ。Then English.");
+  });
+});
+
+describe("normalizeWord", () => {
+  it("lowercases and strips edge punctuation", () => {
+    assert.equal(normalizeWord("“Hello,"), "hello");
+    assert.equal(normalizeWord("(world)."), "world");
+  });
+
+  it("unifies curly apostrophes", () => {
+    assert.equal(normalizeWord("Don’t"), "don't");
+  });
+
+  it("keeps CJK characters", () => {
+    assert.equal(normalizeWord("「東京」"), "東京");
+  });
+
+  it("returns an empty string for punctuation-only tokens", () => {
+    assert.equal(normalizeWord("—"), "");
+    assert.equal(normalizeWord(undefined), "");
+  });
+});
+
+describe("isSentenceEnd", () => {
+  it("accepts terminal punctuation followed by closing quotes or brackets", () => {
+    for (const token of ["end.", "end?!", "end.\"", "end.)", "end!']", "end… ."]) {
+      assert.ok(isSentenceEnd(token), token);
+    }
+  });
+
+  it("accepts CJK sentence punctuation", () => {
+    for (const token of ["ね。", "晴れ！", "本当？", "です。」"]) {
+      assert.ok(isSentenceEnd(token), token);
+    }
+  });
+
+  it("rejects mid-sentence punctuation", () => {
+    for (const token of ["end,", "end;", "end:", "3.5kg", "、", ""]) {
+      assert.ok(!isSentenceEnd(token), token);
+    }
+  });
+
+  it("rejects abbreviations and initials", () => {
+    for (const token of ["Dr.", "mrs.", "e.g.", "i.e.", "U.S.", "J.", "(approx."]) {
+      assert.ok(!isSentenceEnd(token), token);
+    }
+  });
+
+  it("uses the following token to settle numbers and initials", () => {
+    assert.ok(!isSentenceEnd("No.", "5"));
+    assert.ok(isSentenceEnd("no.", "Then"));
+    assert.ok(!isSentenceEnd("J.", "Smith"));
+    assert.ok(isSentenceEnd("J.", "The"));
+    assert.ok(isSentenceEnd("no.", ""));
+  });
+});
+
+describe("isAbbreviation", () => {
+  it("recognizes titles, dotted forms and initials", () => {
+    assert.ok(isAbbreviation("Prof."));
+    assert.ok(isAbbreviation("e.g."));
+    assert.ok(isAbbreviation("K."));
+  });
+
+  it("does not treat ordinary words as abbreviations", () => {
+    assert.ok(!isAbbreviation("done."));
+    assert.ok(!isAbbreviation("Dr"));
+    assert.ok(!isAbbreviation("I"));
+  });
+
+  it("needs a number after No. and a name or initial after a single capital", () => {
+    assert.ok(isAbbreviation("No.", "5"));
+    assert.ok(!isAbbreviation("no.", "Then"));
+    assert.ok(isAbbreviation("F.", "Kennedy"));
+    assert.ok(isAbbreviation("R.", "R."));
+    assert.ok(!isAbbreviation("B.", "Next"));
+    assert.ok(!isAbbreviation("B.", "42"));
+  });
+});
+
+describe("findSentenceEnds", () => {
+  const ends = text => {
+    const tokens = text.split(" ");
+    return findSentenceEnds(tokens, "en").flatMap((end, i) => (end ? [tokens[i]] : []));
+  };
+
+  it("ends sentences at terminal punctuation and at the end of the text", () => {
+    assert.deepEqual(ends("One here. Two there! Three"), ["here.", "there!", "Three"]);
+  });
+
+  it("does not end a sentence after titles such as Dr.", () => {
+    assert.deepEqual(ends("Ask Dr. Smith today. Then leave."), ["today.", "leave."]);
+  });
+
+  it("ends a sentence after the word no", () => {
+    assert.deepEqual(ends("The answer was no. Then we left."), ["no.", "left."]);
+    assert.deepEqual(ends("See No. 5 first. Done."), ["first.", "Done."]);
+  });
+
+  it("ends a sentence after a single capital that is not an initial", () => {
+    assert.deepEqual(ends("We went with Plan B. Next we waited."), ["B.", "waited."]);
+    assert.deepEqual(ends("John F. Kennedy spoke. Then J. R. R. Tolkien wrote."), ["spoke.", "wrote."]);
+  });
+
+  it("does not end a sentence after e.g. followed by lowercase text", () => {
+    assert.deepEqual(ends("It works, e.g. like this. Done."), ["this.", "Done."]);
+  });
+
+  it("uses joiners to segment unspaced Japanese", () => {
+    const { tokens, joiners } = segmentTokens("今日は良い天気ですね。明日も晴れ！本当？", "ja");
+    const marked = findSentenceEnds(tokens, "ja", joiners).flatMap((end, i) => (end ? [tokens[i]] : []));
+    assert.deepEqual(marked, ["ね。", "晴れ！", "本当？"]);
+  });
+});
+
+describe("chunkTokens", () => {
+  it("keeps short text in a single chunk", () => {
+    assert.deepEqual(chunkTokens(["One", "two", "three."], 200), [{ text: "One two three.", count: 3 }]);
+  });
+
+  it("counts words so chunk sizes sum to the token count", () => {
+    const tokens = "a b c d e f g h i j k l m n o p".split(" ");
+    const chunks = chunkTokens(tokens, 5);
+    assert.equal(chunks.reduce((sum, c) => sum + c.count, 0), tokens.length);
+    // Only the last chunk may stretch, to reach the end of the text
+    assert.ok(chunks.slice(0, -1).every(c => c.text.length <= 5));
+  });
+
+  it("never splits inside a token longer than maxChars", () => {
+    const long = "x".repeat(30);
+    assert.deepEqual(texts(chunkTokens(["a", long, "b"], 10)), ["a", long, "b"]);
+  });
+
+  describe("sentence-end lookahead", () => {
+    // maxChars 10 → tolerance 5: a chunk may stretch to 15 chars to reach a sentence end
+    // Follow-up tokens are capitalized: the sentence segmenter (rightly) does
+    // not break before a lowercase word
+    it("extends to a sentence end exactly at maxChars + tolerance", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "cccc.", "Dd", "ee", "ff"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb cccc.", "Dd ee ff"]);
+    });
+
+    it("splits at maxChars when the sentence end is one character too far", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "ccccc.", "Dd", "ee", "ff"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb", "ccccc. Dd ee ff"]);
+    });
+
+    it("uses the overflowing token itself when it ends the sentence", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "c.", "Dd", "ee", "ff"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb c.", "Dd ee ff"]);
+    });
+
+    it("stops at the first sentence end within reach", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "c.", "D.", "Ee", "ff", "gg"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb c.", "D. Ee ff gg"]);
+    });
+
+    it("treats closing quotes after a period as a sentence end", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "cc.\"", "Dd", "ee", "ff"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb cc.\"", "Dd ee ff"]);
+    });
+
+    it("counts the end of the text as a sentence end", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "cccc"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb cccc"]);
+    });
+
+    it("does not stop at a period followed by lowercase text", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "c.", "dd", "eeeeeeee"], 10);
+      assert.deepEqual(texts(chunks), ["aaaa bbbb", "c. dd eeeeeeee"]);
+    });
+
+    it("honours precomputed sentence ends", () => {
+      const chunks = chunkTokens(["aaaa", "bbbb", "cc", "dd"], 10, { sentenceEnds: [false, false, true, false] });
+      assert.deepEqual(texts(chunks), ["aaaa bbbb cc", "dd"]);
+    });
+  });
+
+  describe("abbreviations", () => {
+    it("does not end a chunk after a title such as Dr.", () => {
+      const chunks = chunkTokens(["Please", "ask", "Dr.", "Lee", "today."], 10);
+      assert.deepEqual(texts(chunks), ["Please ask", "Dr. Lee today."]);
+    });
+
+    it("does not end a chunk after e.g.", () => {
+      const chunks = chunkTokens(["Some", "fruit", "e.g.", "Apples", "and", "pears."], 12);
+      assert.ok(!chunks.some(c => c.text.endsWith("e.g.")), JSON.stringify(texts(chunks)));
+    });
+  });
+
+  describe("CJK text", () => {
+    it("keeps an unsegmented CJK sentence together as one token", () => {
+      const sentence = "今日は良い天気ですね。";
+      assert.deepEqual(chunkTokens([sentence], 5), [{ text: sentence, count: 1 }]);
+    });
+
+    it("chunks segmented Japanese at 。！？ without inserting spaces", () => {
+      const { tokens, joiners } = segmentTokens("今日は良い天気ですね。明日も晴れ！本当？", "ja");
+      const chunks = chunkTokens(tokens, 8, { locale: "ja", joiners });
+      assert.deepEqual(texts(chunks), ["今日は良い天気ですね。", "明日も晴れ！本当？"]);
+      assert.equal(chunks.reduce((sum, c) => sum + c.count, 0), tokens.length);
+    });
+
+    it("joins spaced CJK tokens without dropping any", () => {
+      const tokens = ["東京", "大阪", "京都", "奈良", "神戸"];
+      const chunks = chunkTokens(tokens, 5);
+      assert.equal(chunks.map(c => c.text).join(" "), tokens.join(" "));
+    });
+  });
+});
+
+describe("buildTimingMap", () => {
+  it("maps matching words one to one", () => {
+    const map = buildTimingMap(toWords("Hello brave world."), stt(["Hello", 0, 0.3], ["brave", 0.3, 0.6], ["world", 0.6, 1]));
+    assert.deepEqual(map, [
+      { wordIndex: 0, start: 0, end: 0.3 },
+      { wordIndex: 1, start: 0.3, end: 0.6 },
+      { wordIndex: 2, start: 0.6, end: 1 }
+    ]);
+  });
+
+  it("returns nothing without STT words", () => {
+    assert.deepEqual(buildTimingMap(toWords("Hello"), []), []);
+    assert.deepEqual(buildTimingMap(toWords("Hello"), null), []);
+  });
+
+  it("ignores case, punctuation and apostrophe style", () => {
+    const map = buildTimingMap(toWords("“Don’t stop!”"), stt(["don't", 0, 0.4], ["STOP", 0.4, 0.8]));
+    assert.deepEqual(map.map(e => e.wordIndex), [0, 1]);
+  });
+
+  it("skips filler words the STT inserted", () => {
+    const map = buildTimingMap(toWords("We can go"), stt(["We", 0, 0.2], ["um", 0.2, 0.4], ["can", 0.4, 0.6], ["go", 0.6, 0.8]));
+    assert.deepEqual(map, [
+      { wordIndex: 0, start: 0, end: 0.2 },
+      { wordIndex: 1, start: 0.4, end: 0.6 },
+      { wordIndex: 2, start: 0.6, end: 0.8 }
+    ]);
+  });
+
+  it("skips page words the STT missed", () => {
+    const map = buildTimingMap(toWords("The very big dog"), stt(["The", 0, 0.2], ["big", 0.2, 0.4], ["dog", 0.4, 0.6]));
+    assert.deepEqual(map.map(e => e.wordIndex), [0, 2, 3]);
+  });
+
+  it("maps substitutions positionally", () => {
+    const map = buildTimingMap(toWords("In 1990 we"), stt(["In", 0, 0.2], ["nineteen", 0.2, 0.5], ["we", 0.5, 0.7]));
+    assert.deepEqual(map.map(e => e.wordIndex), [0, 1, 2]);
+  });
+
+  it("skips punctuation-only tokens on both sides", () => {
+    const map = buildTimingMap(toWords("Wait — what"), stt(["Wait", 0, 0.3], ["...", 0.3, 0.3], ["what", 0.3, 0.6]));
+    assert.deepEqual(map.map(e => e.wordIndex), [0, 2]);
+  });
+
+  it("matches CJK tokens", () => {
+    const map = buildTimingMap(toWords("東京 大阪"), stt(["東京", 0, 0.5], ["大阪", 0.5, 1]));
+    assert.deepEqual(map.map(e => e.wordIndex), [0, 1]);
+  });
+
+  it("spans every spoken word of a normalized page word", () => {
+    const words = [{ text: "Paid" }, { text: "$1.2M", spoken: "1.2 million dollars" }, { text: "today." }];
+    const map = buildTimingMap(words, stt(["Paid", 0, 0.2], ["1.2", 0.2, 0.5], ["million", 0.5, 0.8], ["dollars", 0.8, 1], ["today", 1, 1.3]));
+    assert.deepEqual(map, [
+      { wordIndex: 0, start: 0, end: 0.2 },
+      { wordIndex: 1, start: 0.2, end: 1 },
+      { wordIndex: 2, start: 1, end: 1.3 }
+    ]);
+  });
+
+  it("leaves words with nothing spoken unmapped", () => {
+    const words = [{ text: "Party", spoken: "Party" }, { text: "🎉", spoken: "" }, { text: "time" }];
+    const map = buildTimingMap(words, stt(["Party", 0, 0.3], ["time", 0.3, 0.6]));
+    assert.deepEqual(map.map(e => e.wordIndex), [0, 2]);
+  });
+});
+
+describe("normalizeTimingMap", () => {
+  const words = toWords("one two three four");
+
+  it("returns one entry per word", () => {
+    const entries = normalizeTimingMap(words, [{ wordIndex: 1, start: 0.5, end: 1 }]);
+    assert.equal(entries.length, words.length);
+    assert.deepEqual(entries.map(e => e.wordIndex), [0, 1, 2, 3]);
+  });
+
+  it("spreads words evenly over the duration without any timing", () => {
+    const entries = normalizeTimingMap(words, [], 2);
+    assert.deepEqual(entries.map(e => [e.start, e.end]), [[0, 0.5], [0.5, 1], [1, 1.5], [1.5, 2]]);
+  });
+
+  it("interpolates gaps between known words", () => {
+    const entries = normalizeTimingMap(words, [
+      { wordIndex: 0, start: 0, end: 0.5 },
+      { wordIndex: 3, start: 2, end: 2.5 }
+    ]);
+    assert.equal(entries[1].start, 0.5);
+    assert.ok(entries[2].end <= 2);
+    assert.ok(entries[1].end <= entries[2].start + 1e-9);
+  });
+
+  it("back-fills words before the first known one", () => {
+    const entries = normalizeTimingMap(words, [{ wordIndex: 2, start: 1, end: 1.4 }]);
+    assert.ok(entries[1].end <= 1 + 1e-9);
+    assert.ok(entries[0].start >= 0);
+  });
+
+  it("keeps starts monotonic and enforces a minimum duration", () => {
+    const entries = normalizeTimingMap(words, [
+      { wordIndex: 0, start: 0, end: 0.5 },
+      { wordIndex: 1, start: 0.3, end: 0.3 },
+      { wordIndex: 2, start: 0.2, end: 0.9 },
+      { wordIndex: 3, start: 1, end: 1.5 }
+    ]);
+    for (let i = 1; i < entries.length; i++) {
+      assert.ok(entries[i].start >= entries[i - 1].end - 1e-9, `entry ${i} overlaps`);
+    }
+    assert.ok(entries.every(e => e.end - e.start >= 0.04));
+  });
+
+  it("returns nothing for no words", () => {
+    assert.deepEqual(normalizeTimingMap([], [{ wordIndex: 0, start: 0, end: 1 }]), []);
+  });
+});
+
+describe("findWordIndexByTime", () => {
+  const entries = [
+    { wordIndex: 0, start: 0, end: 0.3 },
+    { wordIndex: 1, start: 0.3, end: 0.6 },
+    { wordIndex: 2, start: 0.8, end: 1 }
+  ];
+
+  it("finds the entry containing the time", () => {
+    assert.equal(findWordIndexByTime(entries, 0.1), 0);
+    assert.equal(findWordIndexByTime(entries, 0.45), 1);
+    assert.equal(findWordIndexByTime(entries, 0.9), 2);
+  });
+
+  it("clamps before the first and after the last entry", () => {
+    assert.equal(findWordIndexByTime(entries, -1), 0);
+    assert.equal(findWordIndexByTime(entries, 5), 2);
+  });
+
+  it("moves to the next word inside a pause", () => {
+    assert.equal(findWordIndexByTime(entries, 0.7), 2);
+  });
+
+  it("returns 0 for an empty map", () => {
+    assert.equal(findWordIndexByTime([], 1), 0);
+  });
+});